@@ -0,0 +1,311 @@
+// Million Token Image - Admin page
+(function () {
+    const SERVER_URL = window.location.origin;
+    const TOKEN_KEY = 'mti-admin-token';
+
+    let token = sessionStorage.getItem(TOKEN_KEY) || '';
+    let room = new URLSearchParams(window.location.search).get('room') || 'main';
+
+    function init() {
+        document.getElementById('admin-token').value = token;
+        document.getElementById('admin-login').addEventListener('submit', (e) => {
+            e.preventDefault();
+            token = document.getElementById('admin-token').value.trim();
+            room = document.getElementById('admin-room').value || room;
+            sessionStorage.setItem(TOKEN_KEY, token);
+            loadAll();
+        });
+
+        document.getElementById('word-filter').addEventListener('submit', (e) => {
+            e.preventDefault();
+            loadWords();
+        });
+        document.getElementById('redact-matching').addEventListener('click', () => changeWords('redact', wordFilter()));
+        document.getElementById('delete-matching').addEventListener('click', () => changeWords('delete', wordFilter()));
+
+        document.getElementById('ban-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            const userId = document.getElementById('ban-user').value.trim();
+            const reason = document.getElementById('ban-reason').value.trim();
+            if (!userId) return;
+            banUser(userId, reason);
+        });
+
+        document.getElementById('reset-grid').addEventListener('click', () => {
+            if (!confirm(`Reset the grid of "${room}"? Every word on it is discarded.`)) return;
+            request('POST', roomApi('/admin/reset'))
+                .then(() => {
+                    showToast('Grid reset', 'success');
+                    loadAll();
+                })
+                .catch(showError);
+        });
+
+        loadRooms();
+        if (token) {
+            loadAll();
+        }
+    }
+
+    // --- Requests ---
+    function roomApi(path) {
+        return `${SERVER_URL}/api/rooms/${encodeURIComponent(room)}${path}`;
+    }
+
+    // Resolves with the JSON body; rejects with the server's error message
+    function request(method, url, body) {
+        return fetch(url, {
+            method,
+            headers: {
+                'Authorization': `Bearer ${token}`,
+                ...(body ? { 'Content-Type': 'application/json' } : {})
+            },
+            body: body ? JSON.stringify(body) : undefined
+        }).then(res => res.json().then(data => {
+            if (!res.ok) throw new Error(data.error || `Request failed (${res.status})`);
+            return data;
+        }));
+    }
+
+    function showError(err) {
+        showToast(err.message, 'error');
+    }
+
+    function loadRooms() {
+        fetch(`${SERVER_URL}/api/rooms`)
+            .then(res => res.json())
+            .then(rooms => {
+                const select = document.getElementById('admin-room');
+                select.innerHTML = '';
+                rooms.forEach(r => {
+                    const option = document.createElement('option');
+                    option.value = r.slug;
+                    option.textContent = `${r.slug} (${r.wordCount} words)`;
+                    option.selected = r.slug === room;
+                    select.appendChild(option);
+                });
+            })
+            .catch(err => console.error('Failed to load rooms:', err));
+    }
+
+    function loadAll() {
+        document.getElementById('back-link').href = room === 'main' ? '/' : `/r/${encodeURIComponent(room)}`;
+        document.getElementById('progress-label').textContent = `Admin · ${room}`;
+        loadWords();
+        loadHeld();
+        loadBans();
+        loadGeneration();
+    }
+
+    // --- Words ---
+    function wordFilter() {
+        const key = document.getElementById('word-filter-key').value;
+        const value = document.getElementById('word-filter-value').value.trim();
+        return value ? { [key]: value } : null;
+    }
+
+    function loadWords() {
+        const filter = wordFilter();
+        const query = filter ? `?${new URLSearchParams(filter)}` : '';
+        request('GET', roomApi(`/admin/words${query}`))
+            .then(words => {
+                const rows = document.getElementById('word-rows');
+                rows.innerHTML = '';
+                words.forEach(w => {
+                    rows.appendChild(row(
+                        [w.position, w.word, w.user_id, w.group_id, w.status],
+                        [
+                            ['Redact', () => changeWords('redact', { position: w.position })],
+                            ['Delete', () => changeWords('delete', { position: w.position })],
+                            ['Ban user', () => banUser(w.user_id, '')]
+                        ]
+                    ));
+                });
+                if (words.length === 0) {
+                    rows.appendChild(row(['No words'], []));
+                }
+            })
+            .catch(showError);
+    }
+
+    // action: 'redact' or 'delete'; selector: { position } | { userId } | { groupId }
+    function changeWords(action, selector) {
+        if (!selector) {
+            showToast('Pick a user, group or position first', 'error');
+            return;
+        }
+        request('POST', roomApi(`/admin/words/${action}`), selector)
+            .then(result => {
+                const count = action === 'redact' ? result.redacted : result.deleted;
+                showToast(`${action === 'redact' ? 'Redacted' : 'Deleted'} ${count} word${count === 1 ? '' : 's'}`, 'success');
+                loadWords();
+                loadHeld();
+            })
+            .catch(showError);
+    }
+
+    function loadHeld() {
+        request('GET', roomApi('/admin/moderation/held'))
+            .then(words => {
+                const rows = document.getElementById('held-rows');
+                rows.innerHTML = '';
+                words.forEach(w => {
+                    rows.appendChild(row(
+                        [w.position, w.word, w.user_id],
+                        [
+                            ['Approve', () => reviewWord(w.position, 'approve')],
+                            ['Reject', () => reviewWord(w.position, 'reject')]
+                        ]
+                    ));
+                });
+                if (words.length === 0) {
+                    rows.appendChild(row(['Nothing waiting'], []));
+                }
+            })
+            .catch(showError);
+    }
+
+    function reviewWord(position, decision) {
+        request('POST', roomApi(`/admin/moderation/held/${position}/${decision}`))
+            .then(() => {
+                loadHeld();
+                loadWords();
+            })
+            .catch(showError);
+    }
+
+    // --- Bans ---
+    function loadBans() {
+        request('GET', `${SERVER_URL}/api/admin/bans`)
+            .then(bans => {
+                const rows = document.getElementById('ban-rows');
+                rows.innerHTML = '';
+                bans.forEach(ban => {
+                    rows.appendChild(row(
+                        [ban.user_id, ban.reason || '', ban.created_at],
+                        [['Unban', () => unbanUser(ban.user_id)]]
+                    ));
+                });
+                if (bans.length === 0) {
+                    rows.appendChild(row(['Nobody is banned'], []));
+                }
+            })
+            .catch(showError);
+    }
+
+    function banUser(userId, reason) {
+        request('POST', `${SERVER_URL}/api/admin/bans`, { userId, reason })
+            .then(() => {
+                showToast(`Banned ${userId}`, 'success');
+                document.getElementById('ban-user').value = '';
+                document.getElementById('ban-reason').value = '';
+                loadBans();
+            })
+            .catch(showError);
+    }
+
+    function unbanUser(userId) {
+        request('DELETE', `${SERVER_URL}/api/admin/bans/${encodeURIComponent(userId)}`)
+            .then(loadBans)
+            .catch(showError);
+    }
+
+    // --- Generation and current image ---
+    function loadGeneration() {
+        fetch(roomApi('/state'))
+            .then(res => res.json())
+            .then(state => {
+                const rows = document.getElementById('job-rows');
+                rows.innerHTML = '';
+                const jobs = [
+                    ...(state.queue.running ? [{ ...state.queue.running, label: 'running' }] : []),
+                    ...state.queue.queued.map(job => ({ ...job, label: 'queued' }))
+                ];
+                jobs.forEach(job => {
+                    rows.appendChild(row(
+                        [`Job ${job.id}`, job.label, job.requestedBy || 'automatic'],
+                        [['Cancel', () => cancelJob(job.id)]]
+                    ));
+                });
+                if (jobs.length === 0) {
+                    rows.appendChild(row(['No generation running'], []));
+                }
+                loadHistoryChoices(state.currentImage);
+            })
+            .catch(showError);
+    }
+
+    function cancelJob(jobId) {
+        request('DELETE', roomApi(`/admin/generate/${jobId}`))
+            .then(loadGeneration)
+            .catch(showError);
+    }
+
+    // Completed images; clicking one makes it the current image again
+    function loadHistoryChoices(currentImage) {
+        fetch(roomApi('/history'))
+            .then(res => res.json())
+            .then(history => {
+                const container = document.getElementById('history-choices');
+                container.innerHTML = '';
+                history.filter(entry => entry.status === 'complete').forEach(entry => {
+                    const thumb = document.createElement('img');
+                    thumb.src = entry.image_path;
+                    thumb.alt = '';
+                    thumb.title = `Make image ${entry.id} (${entry.word_count} words) current`;
+                    thumb.classList.toggle('selected', entry.image_path === currentImage);
+                    thumb.addEventListener('click', () => rewindTo(entry.id));
+                    container.appendChild(thumb);
+                });
+            })
+            .catch(showError);
+    }
+
+    function rewindTo(historyId) {
+        request('POST', roomApi('/admin/rewind'), { historyId })
+            .then(() => {
+                showToast('Current image rolled back', 'success');
+                loadGeneration();
+            })
+            .catch(showError);
+    }
+
+    // --- UI helpers ---
+    // cells: text for each column; actions: [label, onClick] buttons
+    function row(cells, actions) {
+        const tr = document.createElement('tr');
+        cells.forEach(text => {
+            const td = document.createElement('td');
+            td.textContent = text === null || text === undefined ? '' : String(text);
+            tr.appendChild(td);
+        });
+
+        const td = document.createElement('td');
+        td.className = 'admin-actions';
+        actions.forEach(([label, onClick]) => {
+            const btn = document.createElement('button');
+            btn.textContent = label;
+            btn.addEventListener('click', onClick);
+            td.appendChild(btn);
+        });
+        tr.appendChild(td);
+        return tr;
+    }
+
+    function showToast(message, type = 'info') {
+        const container = document.getElementById('toast-container');
+        const toast = document.createElement('div');
+        toast.className = `toast ${type}`;
+        toast.textContent = message;
+        container.appendChild(toast);
+
+        setTimeout(() => {
+            toast.style.animation = 'slideOut 0.3s ease-out';
+            setTimeout(() => {
+                if (toast.parentNode) container.removeChild(toast);
+            }, 300);
+        }, 4000);
+    }
+
+    document.addEventListener('DOMContentLoaded', init);
+})();
@@ -2,88 +2,158 @@
 (function () {
     const SERVER_URL = window.location.origin;
 
-    // User identity
-    const userId = localStorage.getItem('mti-user-id') || crypto.randomUUID();
-    localStorage.setItem('mti-user-id', userId);
+    // Rooms live at /r/<slug>; the bare URL is the default room
+    const roomMatch = window.location.pathname.match(/^\/r\/([^/]+)/);
+    const ROOM = roomMatch ? decodeURIComponent(roomMatch[1]) : null;
+    const API_URL = ROOM ? `${SERVER_URL}/api/rooms/${encodeURIComponent(ROOM)}` : `${SERVER_URL}/api`;
+
+    // User identity: the server issues it with a signed token, which we keep
+    // and present on every connection. Browsers from before tokens still
+    // have a made-up id under mti-user-id; it is offered once so the server
+    // can carry it over, then dropped.
+    const SESSION_KEY = 'mti-session';
+    const LEGACY_USER_KEY = 'mti-user-id';
+    let userId = null;
     let userColor = '#60A5FA';
 
     function newGroupId() {
         return Date.now().toString(36) + Math.random().toString(36).substr(2, 6);
     }
 
+    // Cursor and typing updates go out at most this often (ms)
+    const PRESENCE_INTERVAL = 100;
+
     // State
     let currentWord = '';
     let cursorPosition = 0;
+    let nextPosition = 0; // where words go unless we pick a cell (the server's next_position)
+    let placing = false; // typing into a clicked cell instead of after the last word
+    let gridSize = { width: 100, height: 100 }; // from the server's initial-state
+    let season = null; // { number, startedAt, pending }
+    let limits = { maxWordLength: 40, maxPasteWords: 50, clickToPlace: true }; // the server's word limits
     let currentGroupId = newGroupId(); // all words until next Generate share this
     let isGenerating = false;
     let hasNewWords = false;
+    let queue = { running: null, queued: [] }; // server generation queue snapshot
+    let autoGenerate = null; // { wordsUntilNext, idleDeadline, nextScheduledAt }
+    let voteTally = null; // set when the server runs in vote-to-generate mode
+    let currentImagePath = '';
+    let history = []; // completed image_history rows, newest first
+    let selectedHistoryId = null; // past image being previewed
+    let rewindTally = null; // open rewind proposal, if any
+    let unconfirmed = new Map(); // position -> word placed optimistically, not yet confirmed
+    let throttledUntil = 0; // set while the server is rate-limiting our words
+    let throttleTimer = null;
+    let deferredWords = []; // { word, position } waiting for the rate limit to lift
+    let banned = false; // an admin has stopped us from placing words
+    let roster = new Map(); // userId -> { userId, nickname, color }, one per person online
+    let following = null; // user whose cursor the grid follows
+    let leaderboard = []; // entries shown in the leaderboard panel
+    let leaderboardTimer = null;
+    let searchResults = []; // matching positions, in grid order
+    let searchIndex = -1; // the match we last stepped to
+    let presenceTimer = null;
+    let lastPresence = null; // last cursor-move sent, as "position:word"
     let socket = null;
     let grid = null;
 
     // Initialize
     function init() {
         grid = new WordGrid('grid-canvas');
+        new Minimap('minimap', grid);
         setupSocket();
         setupKeyboard();
         setupGenerateButton();
         setupFindCursor();
+        setupRoster();
+        setupLeaderboard();
+        setupSearch();
+        setupClickToPlace();
+        setupRetract();
+        setupHistory();
+
+        if (ROOM) {
+            document.title = `${ROOM} · Million Token Image`;
+        }
+
+        // Keep auto-generate countdowns ticking between server updates
+        setInterval(updateAutoGenerateStatus, 1000);
     }
 
     // --- Socket.IO ---
     function setupSocket() {
-        socket = io(SERVER_URL);
+        socket = io(SERVER_URL, {
+            query: ROOM ? { room: ROOM } : {},
+            // Read on every (re)connection, so a new token is used right away
+            auth: (cb) => cb({
+                token: localStorage.getItem(SESSION_KEY),
+                legacyUserId: localStorage.getItem(LEGACY_USER_KEY)
+            })
+        });
+
+        socket.on('session', (data) => {
+            // Everything the server broadcasts names people by public id
+            userId = data.publicId;
+            banned = data.banned;
+            localStorage.setItem(SESSION_KEY, data.token);
+            localStorage.removeItem(LEGACY_USER_KEY);
+        });
+
+        socket.on('room-error', (data) => {
+            showToast(data.error, 'error');
+        });
 
         socket.on('connect', () => {
             console.log('Connected to server');
-            socket.emit('register', { userId });
         });
 
         socket.on('user-registered', (data) => {
             userColor = data.color;
         });
 
-        socket.on('initial-state', (data) => {
-            // Load all words
-            data.words.forEach(w => {
-                grid.setWord(w.position, {
-                    word: w.word,
-                    user_id: w.user_id,
-                    user_color: w.user_color,
-                    group_id: w.group_id
-                });
-            });
+        socket.on('initial-state', applyState);
 
-            cursorPosition = data.nextPosition;
-            grid.setCursorPosition(cursorPosition);
-            grid.centerOnPosition(cursorPosition);
-            grid.render();
-
-            // Update UI
-            updateWordCount(data.wordCount);
-            updateOnlineUsers(data.onlineUsers);
-            updateCursorDisplay();
+        // The grid filled up (or an admin ended the season): start over on
+        // the fresh grid the server sent along
+        socket.on('season-archived', (data) => {
+            resetGrid();
+            applyState(data.state);
+            loadHistory();
+            showToast(data.season.reason === 'reset'
+                ? 'An admin has reset the grid'
+                : `Season ${data.season.id} archived \u2014 a fresh grid begins!`, 'success');
+        });
 
-            // Load current image
-            if (data.currentImage) {
-                showImage(data.currentImage);
+        socket.on('season-status', (data) => {
+            if (data.pending && !(season && season.pending)) {
+                showToast(data.pending === 'full'
+                    ? 'The grid is complete \u2014 finishing the final image for this season'
+                    : 'This season is ending \u2014 finishing the final image', 'info');
             }
-
-            // Hide generate button until new words are added
-            updateGenerateButton();
+            season = data;
+            updateWordCount();
         });
 
         socket.on('word-placed', (data) => {
+            unconfirmed.delete(data.position);
             grid.setWord(data.position, {
                 word: data.word,
                 user_id: data.user_id,
                 user_color: data.user_color,
-                group_id: data.group_id
+                group_id: data.group_id,
+                status: data.status
             });
 
-            // Advance cursor if this word was at or past our position
-            if (data.position >= cursorPosition) {
-                cursorPosition = data.position + 1;
+            if (data.status === 'held' && data.user_id === userId) {
+                showToast(`"${data.word}" is waiting for a moderator`, 'info');
+            }
+
+            // Step over the word if it took the cell we were about to type in
+            nextPosition = nextEmptyCell(nextPosition);
+            if (data.position === cursorPosition) {
+                cursorPosition = nextEmptyCell(cursorPosition);
                 grid.setCursorPosition(cursorPosition);
+                sendPresence();
             }
 
             grid.render();
@@ -91,48 +161,228 @@
             updateCursorDisplay();
             hasNewWords = true;
             updateGenerateButton();
+            countPlacedWord(data);
+            runSearch();
+        });
+
+        socket.on('vote-update', (data) => {
+            voteTally = data;
+            updateGenerateButton();
+        });
+
+        socket.on('image-rewound', (data) => {
+            selectedHistoryId = null;
+            grid.clearHighlight();
+            setCurrentImage(data.imagePath);
+            showToast('Branched from an earlier image', 'success');
+        });
+
+        socket.on('rewind-vote-update', (data) => {
+            rewindTally = data;
+            renderHistory();
+        });
+
+        socket.on('auto-generate-status', (data) => {
+            autoGenerate = data;
+            updateAutoGenerateStatus();
         });
 
         socket.on('users-update', (data) => {
             updateOnlineUsers(data.count);
         });
 
+        // Roster diffs: someone's first tab opened, a nickname changed, or
+        // someone's last tab closed
+        socket.on('roster-join', (entry) => {
+            roster.set(entry.userId, entry);
+            renderRoster();
+        });
+
+        socket.on('roster-update', (entry) => {
+            roster.set(entry.userId, entry);
+            renderRoster();
+
+            const ranked = leaderboard.find(e => e.userId === entry.userId);
+            if (ranked) {
+                ranked.nickname = entry.nickname;
+                renderLeaderboard();
+            }
+        });
+
+        socket.on('roster-leave', (data) => {
+            roster.delete(data.userId);
+            if (following === data.userId) following = null;
+            renderRoster();
+        });
+
+        socket.on('nickname-rejected', (data) => {
+            showToast(data.error, 'error');
+        });
+
         socket.on('generation-started', (data) => {
             isGenerating = true;
             hasNewWords = false;
-            setGenerationStatus('Generating image...');
+            updateQueueStatus();
             setGenerateButtonLoading(true);
             updateGenerateButton();
         });
 
         socket.on('generation-complete', (data) => {
             isGenerating = false;
-            showImage(data.imagePath);
-            setGenerationStatus('');
+            selectedHistoryId = null;
+            grid.clearHighlight();
+            setCurrentImage(data.imagePath);
+            loadHistory();
+            updateQueueStatus();
             setGenerateButtonLoading(false);
             showToast('Image generated!', 'success');
             updateGenerateButton();
 
             // New group for words typed after this generation
             currentGroupId = newGroupId();
+            scheduleLeaderboardLoad();
+        });
+
+        socket.on('generation-queued', (data) => {
+            if (data.position > 0) {
+                showToast(`Queued \u2014 position ${data.position}`, 'info');
+            }
+        });
+
+        // Our request was not accepted (cooldown, empty grid, full queue...)
+        socket.on('generation-rejected', (data) => {
+            showToast(data.error || 'Could not start generation', 'error');
+        });
+
+        socket.on('generation-cancelled', (data) => {
+            if (queue.running && queue.running.id === data.jobId) {
+                isGenerating = false;
+                setGenerateButtonLoading(false);
+            }
+            updateQueueStatus();
+            updateGenerateButton();
+        });
+
+        socket.on('queue-update', (data) => {
+            queue = data;
+            updateQueueStatus();
+        });
+
+        socket.on('generation-retrying', (data) => {
+            showToast(`${data.error} \u2014 retrying in ${Math.ceil(data.retryIn / 1000)}s`, 'info');
         });
 
         socket.on('generation-failed', (data) => {
             isGenerating = false;
-            setGenerationStatus('');
+            updateQueueStatus();
             setGenerateButtonLoading(false);
             showToast(data.error || 'Generation failed', 'error');
             updateGenerateButton();
         });
 
         socket.on('cursor-update', (data) => {
-            grid.setRemoteCursor(data.id, data.position || 0, data.color);
+            grid.setRemoteCursor(data.id, data);
+            if (data.userId === following) {
+                grid.animateTo(data.position, null, 300);
+            }
             grid.render();
+            renderRoster();
         });
 
         socket.on('cursor-leave', (data) => {
             grid.removeRemoteCursor(data.id);
             grid.render();
+            renderRoster();
+        });
+
+        // The server refused some of our words; undo their optimistic placement
+        socket.on('word-rejected', (data) => {
+            showToast(data.error, 'error');
+            undoOptimistic((data.rejected || []).map(r => r.word));
+
+            // Lost a clicked cell to someone faster: keep the word to place
+            // again in the next free cell
+            if (data.code === 'CELL_TAKEN') {
+                currentWord = data.rejected[0].word;
+                cursorPosition = nextEmptyCell(data.position);
+                grid.setCursorPosition(cursorPosition);
+                updateCurrentWordDisplay();
+            }
+        });
+
+        // Over the rate limit: nothing in the event was done. Words wait and
+        // are sent again once the limit lifts.
+        socket.on('rate-limited', (data) => {
+            if (data.words) {
+                undoOptimistic(data.words);
+                deferWords(data.words, data.position);
+                throttle(data.retryAt - Date.now());
+            } else if (data.event !== 'cursor-move') {
+                showToast(data.error, 'error');
+            }
+        });
+
+        // Words turned down by a moderator or deleted by an admin
+        socket.on('words-removed', (data) => {
+            data.positions.forEach(position => {
+                unconfirmed.delete(position);
+                grid.removeWord(position);
+            });
+            grid.render();
+            updateWordCount();
+            scheduleLeaderboardLoad();
+            runSearch();
+        });
+
+        // Words an admin has blanked out; their cells stay taken
+        socket.on('words-redacted', (data) => {
+            data.positions.forEach(position => {
+                const cell = grid.words.get(position);
+                if (cell) {
+                    grid.setWord(position, { ...cell, word: '', status: 'redacted' });
+                }
+            });
+            grid.render();
+            updateWordCount();
+            runSearch();
+        });
+
+        // Words their author took back; the cells stay behind as tombstones
+        socket.on('words-retracted', (data) => {
+            data.positions.forEach(position => {
+                const cell = grid.words.get(position);
+                if (cell) {
+                    grid.setWord(position, { ...cell, word: '', status: 'retracted' });
+                }
+            });
+            grid.render();
+            updateWordCount();
+            scheduleLeaderboardLoad();
+            runSearch();
+        });
+
+        // Nothing of ours left to take back (window passed, or already generated)
+        socket.on('retract-rejected', (data) => {
+            showToast(data.error, 'error');
+        });
+
+        socket.on('banned', (data) => {
+            banned = true;
+            showToast(data.reason
+                ? `You have been banned from placing words: ${data.reason}`
+                : 'You have been banned from placing words', 'error');
+        });
+
+        socket.on('unbanned', () => {
+            banned = false;
+            showToast('You can place words again', 'success');
+        });
+
+        // A payload the server could not accept (only expected from a bug or
+        // a client out of step with the server)
+        socket.on('invalid-payload', (data) => {
+            console.warn('Invalid payload:', data);
+            showToast(data.error, 'error');
         });
 
         socket.on('error', (data) => {
@@ -148,10 +398,22 @@
     // --- Keyboard Input ---
     function setupKeyboard() {
         document.addEventListener('keydown', (e) => {
+            // Our search instead of the browser's
+            if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'f') {
+                e.preventDefault();
+                openSearch();
+                return;
+            }
+
             // Don't capture if focus is on an input element
             if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA') return;
 
-            if (e.key === 'Backspace') {
+            if (e.key === 'Escape' && placing) {
+                stopPlacing();
+            } else if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'z' && currentWord.length === 0) {
+                e.preventDefault();
+                retractLastWord();
+            } else if (e.key === 'Backspace') {
                 e.preventDefault();
                 if (currentWord.length > 0) {
                     currentWord = currentWord.slice(0, -1);
@@ -163,6 +425,7 @@
                 e.preventDefault();
                 submitCurrentWord();
             } else if (e.key.length === 1 && !e.ctrlKey && !e.metaKey) {
+                if (currentWord.length >= limits.maxWordLength) return;
                 currentWord += e.key;
                 updateCurrentWordDisplay();
             }
@@ -177,12 +440,12 @@
             const text = e.clipboardData.getData('text').trim();
             if (!text) return;
 
-            const words = text.split(/\s+/).filter(w => w.length > 0);
+            let words = text.split(/\s+/).filter(w => w.length > 0);
             if (words.length === 0) return;
 
             if (words.length === 1) {
                 // Single word - add to current buffer
-                currentWord += words[0];
+                currentWord = (currentWord + words[0]).slice(0, limits.maxWordLength);
                 updateCurrentWordDisplay();
             } else {
                 // Multiple words - submit current word first, then batch submit
@@ -190,10 +453,19 @@
                     words.unshift(currentWord.trim());
                     currentWord = '';
                 }
-                socket.emit('submit-words', { userId, words, groupId: currentGroupId });
+                const dropped = words.length - limits.maxPasteWords;
+                words = words.slice(0, limits.maxPasteWords);
+                if (Date.now() < throttledUntil) {
+                    deferWords(words, placement().position);
+                    updateThrottleHint();
+                } else {
+                    socket.emit('submit-words', { words, groupId: currentGroupId, ...placement() });
+                }
                 currentWord = '';
                 updateCurrentWordDisplay();
-                showToast(`Pasted ${words.length} words`, 'info');
+                showToast(dropped > 0
+                    ? `Pasted the first ${words.length} words (${dropped} left out)`
+                    : `Pasted ${words.length} words`, 'info');
             }
         });
     }
@@ -202,16 +474,32 @@
         const word = currentWord.trim();
         if (!word || isGenerating) return;
 
-        socket.emit('submit-word', { userId, word, groupId: currentGroupId });
+        if (banned) {
+            showToast('You have been banned from placing words', 'error');
+            return;
+        }
+
+        // Queue it rather than run into the rate limit again
+        if (Date.now() < throttledUntil) {
+            deferWords([word], placement().position);
+            currentWord = '';
+            updateCurrentWordDisplay();
+            updateThrottleHint();
+            return;
+        }
+
+        socket.emit('submit-word', { word, groupId: currentGroupId, ...placement() });
 
         // Optimistic update
+        unconfirmed.set(cursorPosition, word);
         grid.setWord(cursorPosition, {
             word: word,
             user_id: userId,
             user_color: userColor,
             group_id: currentGroupId
         });
-        cursorPosition++;
+        nextPosition = nextEmptyCell(nextPosition);
+        cursorPosition = nextEmptyCell(cursorPosition + 1);
         grid.setCursorPosition(cursorPosition);
         grid.ensureCursorVisible();
         grid.render();
@@ -223,9 +511,105 @@
         updateGenerateButton();
     }
 
+    // Take back words we placed before the server turned them down
+    function undoOptimistic(words) {
+        words.forEach(word => {
+            const entry = Array.from(unconfirmed).find(([, w]) => w === word);
+            if (!entry) return;
+
+            const [position] = entry;
+            unconfirmed.delete(position);
+            grid.removeWord(position);
+            if (nextEmptyCell(position + 1) === cursorPosition) {
+                cursorPosition = position;
+                grid.setCursorPosition(cursorPosition);
+            }
+            if (nextEmptyCell(position + 1) === nextPosition) {
+                nextPosition = position;
+            }
+        });
+
+        grid.render();
+        updateCursorDisplay();
+    }
+
+    // --- Rate limiting ---
+    function throttle(ms) {
+        throttledUntil = Math.max(throttledUntil, Date.now() + Math.max(ms, 0));
+        updateThrottleHint();
+
+        clearInterval(throttleTimer);
+        throttleTimer = setInterval(() => {
+            if (Date.now() < throttledUntil) {
+                updateThrottleHint();
+                return;
+            }
+            clearInterval(throttleTimer);
+            throttleTimer = null;
+            updateThrottleHint();
+            sendDeferredWords();
+        }, 250);
+    }
+
+    // position is the clicked cell the words were typed into, null to append
+    function deferWords(words, position = null) {
+        deferredWords.push(...words.map(word => ({ word, position })));
+    }
+
+    // Anything still over the limit comes back in another rate-limited event.
+    // Words meant for the same clicked cell go together, so they fill in from
+    // that cell in the order they were typed.
+    function sendDeferredWords() {
+        while (deferredWords.length > 0) {
+            const { position } = deferredWords[0];
+            let count = 1;
+            while (count < deferredWords.length && count < limits.maxPasteWords &&
+                   deferredWords[count].position === position) {
+                count++;
+            }
+
+            const words = deferredWords.splice(0, count).map(entry => entry.word);
+            const where = position === null ? {} : { position };
+            if (words.length === 1) {
+                socket.emit('submit-word', { word: words[0], groupId: currentGroupId, ...where });
+            } else {
+                socket.emit('submit-words', { words, groupId: currentGroupId, ...where });
+            }
+        }
+    }
+
+    function updateThrottleHint() {
+        const hint = document.getElementById('typing-hint');
+        const remaining = Math.ceil((throttledUntil - Date.now()) / 1000);
+        if (remaining <= 0) {
+            hint.style.display = 'none';
+            return;
+        }
+
+        const waiting = deferredWords.length === 1 ? '1 word' : `${deferredWords.length} words`;
+        hint.textContent = `Slow down \u2014 ${waiting} will be placed in ${remaining}s`;
+        hint.style.display = 'block';
+    }
+
     function updateCurrentWordDisplay() {
         grid.setCurrentWord(currentWord);
         grid.render();
+        sendPresence();
+    }
+
+    // --- Presence ---
+    // Tell the others where we are typing and what, throttled; nothing is
+    // sent when neither has changed
+    function sendPresence() {
+        if (presenceTimer) return;
+        presenceTimer = setTimeout(() => {
+            presenceTimer = null;
+            const presence = `${cursorPosition}:${currentWord}`;
+            if (presence === lastPresence || !socket.connected) return;
+
+            lastPresence = presence;
+            socket.emit('cursor-move', { position: cursorPosition, word: currentWord });
+        }, PRESENCE_INTERVAL);
     }
 
     // --- Generate Button ---
@@ -233,6 +617,13 @@
         const btn = document.getElementById('generate-btn');
         btn.addEventListener('click', () => {
             if (isGenerating) return;
+
+            // Clicking again takes a vote back
+            if (voteTally && voteTally.voters.includes(userId)) {
+                socket.emit('withdraw-generate-vote');
+                return;
+            }
+
             // Auto-submit any in-progress word before generating
             if (currentWord.trim()) {
                 submitCurrentWord();
@@ -243,8 +634,22 @@
 
     function updateGenerateButton() {
         const btn = document.getElementById('generate-btn');
-        const show = hasNewWords && !isGenerating;
+        const votesOpen = voteTally && voteTally.votes > 0;
+        const show = (hasNewWords || votesOpen) && !isGenerating;
         btn.style.display = show ? 'flex' : 'none';
+
+        if (!isGenerating) {
+            document.getElementById('generate-btn-text').textContent = generateButtonLabel();
+        }
+    }
+
+    // In vote mode the button doubles as the live tally: "3 / 5 ready"
+    function generateButtonLabel() {
+        if (!voteTally) return 'Generate Image';
+
+        const ready = `${voteTally.votes} / ${voteTally.online} ready`;
+        if (voteTally.voters.includes(userId)) return `Waiting for others \u00b7 ${ready}`;
+        return voteTally.votes > 0 ? `Ready to generate \u00b7 ${ready}` : 'Ready to generate';
     }
 
     // --- Find Cursor ---
@@ -256,6 +661,364 @@
         grid.animateTo(cursorPosition, 1, 400);
     }
 
+    // --- Roster ---
+    function setupRoster() {
+        const panel = document.getElementById('roster-panel');
+        document.getElementById('roster-toggle').addEventListener('click', () => {
+            panel.hidden = !panel.hidden;
+            document.getElementById('leaderboard-panel').hidden = true;
+            renderRoster();
+        });
+
+        document.getElementById('nickname-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            const input = document.getElementById('nickname-input');
+            socket.emit('set-nickname', { nickname: input.value.trim() || null });
+            input.blur();
+        });
+    }
+
+    function renderRoster() {
+        const panel = document.getElementById('roster-panel');
+        if (panel.hidden) return;
+
+        const input = document.getElementById('nickname-input');
+        const me = roster.get(userId);
+        input.maxLength = limits.maxNicknameLength;
+        if (me && document.activeElement !== input) {
+            input.value = me.nickname || '';
+        }
+
+        const list = document.getElementById('roster-list');
+        list.innerHTML = '';
+        roster.forEach(entry => {
+            const isMe = entry.userId === userId;
+            const cursor = latestCursor(entry.userId);
+
+            const item = document.createElement('li');
+            item.className = 'roster-entry';
+            item.classList.toggle('following', entry.userId === following);
+
+            const color = document.createElement('span');
+            color.className = 'roster-color';
+            color.style.background = entry.color;
+
+            const name = document.createElement('span');
+            name.className = 'roster-name';
+            name.textContent = isMe ? `${displayName(entry)} (you)` : displayName(entry);
+
+            const typing = document.createElement('span');
+            typing.className = 'roster-typing';
+            typing.textContent = cursor && cursor.word ? cursor.word : '';
+
+            item.append(color, name, typing);
+            if (!isMe) {
+                item.title = entry.userId === following ? 'Stop following' : 'Follow their cursor';
+                item.addEventListener('click', () => toggleFollow(entry.userId));
+            }
+            list.appendChild(item);
+        });
+    }
+
+    function displayName(entry) {
+        return entry.nickname || `Guest ${entry.userId.slice(0, 4)}`;
+    }
+
+    // The most recently moved cursor among a user's tabs
+    function latestCursor(id) {
+        let latest = null;
+        grid.remoteCursors.forEach(cursor => {
+            if (cursor.userId === id && (!latest || cursor.updatedAt > latest.updatedAt)) {
+                latest = cursor;
+            }
+        });
+        return latest;
+    }
+
+    // Keep the grid on someone's cursor as it moves; clicking them again stops
+    function toggleFollow(id) {
+        following = following === id ? null : id;
+        if (following) {
+            const cursor = latestCursor(id);
+            if (cursor) {
+                grid.animateTo(cursor.position, null, 400);
+            } else {
+                showToast(`${displayName(roster.get(id))} has not moved their cursor lately`, 'info');
+            }
+        }
+        renderRoster();
+    }
+
+    // --- Leaderboard ---
+    function setupLeaderboard() {
+        const panel = document.getElementById('leaderboard-panel');
+        document.getElementById('leaderboard-toggle').addEventListener('click', () => {
+            panel.hidden = !panel.hidden;
+            document.getElementById('roster-panel').hidden = true;
+            if (!panel.hidden) loadLeaderboard();
+        });
+        document.getElementById('leaderboard-window').addEventListener('change', loadLeaderboard);
+    }
+
+    function loadLeaderboard() {
+        const timeWindow = document.getElementById('leaderboard-window').value;
+        fetch(`${API_URL}/leaderboard?window=${timeWindow}`)
+            .then(res => res.json())
+            .then(data => {
+                leaderboard = data.entries;
+                renderLeaderboard();
+            })
+            .catch(err => console.error('Failed to load leaderboard:', err));
+    }
+
+    // For changes only the server can count (images fed, removed words);
+    // bursts of them are loaded once
+    function scheduleLeaderboardLoad() {
+        if (document.getElementById('leaderboard-panel').hidden) return;
+        clearTimeout(leaderboardTimer);
+        leaderboardTimer = setTimeout(loadLeaderboard, 1000);
+    }
+
+    // Count a placed word as it arrives. Someone not on the board yet may
+    // already have words from before, so they come from the server instead.
+    function countPlacedWord(data) {
+        if (document.getElementById('leaderboard-panel').hidden) return;
+
+        const entry = leaderboard.find(e => e.userId === data.user_id);
+        if (!entry) {
+            scheduleLeaderboardLoad();
+            return;
+        }
+
+        let phraseSize = 0;
+        grid.words.forEach(cell => {
+            if (cell.user_id === data.user_id && cell.group_id === data.group_id) phraseSize++;
+        });
+
+        entry.words++;
+        if (phraseSize === 1) entry.phrases++;
+        entry.longestPhrase = Math.max(entry.longestPhrase, phraseSize);
+        leaderboard.sort((a, b) => b.words - a.words);
+        renderLeaderboard();
+    }
+
+    function renderLeaderboard() {
+        const list = document.getElementById('leaderboard-list');
+        list.innerHTML = '';
+        leaderboard.forEach((entry, i) => {
+            const item = document.createElement('li');
+            item.className = 'leaderboard-entry';
+            item.title = `${entry.phrases} phrases \u00b7 longest ${entry.longestPhrase} words \u00b7 fed ${entry.imagesFed} images`;
+
+            const rank = document.createElement('span');
+            rank.className = 'leaderboard-rank';
+            rank.textContent = i + 1;
+
+            const color = document.createElement('span');
+            color.className = 'roster-color';
+            color.style.background = entry.color;
+
+            const name = document.createElement('span');
+            name.className = 'roster-name';
+            name.textContent = entry.userId === userId ? `${displayName(entry)} (you)` : displayName(entry);
+
+            const words = document.createElement('span');
+            words.className = 'leaderboard-words';
+            words.textContent = entry.words.toLocaleString();
+
+            item.append(rank, color, name, words);
+            list.appendChild(item);
+        });
+
+        if (leaderboard.length === 0) {
+            const item = document.createElement('li');
+            item.className = 'leaderboard-entry';
+            item.textContent = 'No words yet';
+            list.appendChild(item);
+        }
+    }
+
+    // --- Search ---
+    // Matches are found in the words this client already holds; the server's
+    // /words/search does the same for other clients and scripts
+    function setupSearch() {
+        const input = document.getElementById('search-input');
+        const regexBtn = document.getElementById('search-regex');
+
+        document.getElementById('search-btn').addEventListener('click', openSearch);
+        document.getElementById('search-close').addEventListener('click', closeSearch);
+        document.getElementById('search-scope').addEventListener('change', runSearch);
+        input.addEventListener('input', runSearch);
+        regexBtn.addEventListener('click', () => {
+            regexBtn.classList.toggle('active');
+            runSearch();
+        });
+
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                stepSearch(e.shiftKey ? -1 : 1);
+            } else if (e.key === 'Escape') {
+                closeSearch();
+            }
+        });
+    }
+
+    function openSearch() {
+        const panel = document.getElementById('search-panel');
+        const input = document.getElementById('search-input');
+        panel.hidden = false;
+        updateSearchScopes();
+        input.focus();
+        input.select();
+        runSearch();
+    }
+
+    function closeSearch() {
+        document.getElementById('search-panel').hidden = true;
+        document.getElementById('search-input').blur();
+        searchResults = [];
+        searchIndex = -1;
+        grid.clearSearchMatches();
+        grid.render();
+    }
+
+    // Online people can be picked as the author, besides ourselves
+    function updateSearchScopes() {
+        const select = document.getElementById('search-scope');
+        const selected = select.value;
+        select.querySelectorAll('option[data-user]').forEach(option => option.remove());
+        roster.forEach(entry => {
+            if (entry.userId === userId) return;
+            const option = document.createElement('option');
+            option.value = `user:${entry.userId}`;
+            option.dataset.user = entry.userId;
+            option.textContent = `By ${displayName(entry)}`;
+            select.appendChild(option);
+        });
+        select.value = selected;
+        if (!select.value) select.value = 'all';
+    }
+
+    // -> function telling whether a word matches, or null for an invalid
+    // regular expression
+    function searchMatcher(query, regex) {
+        if (!regex) {
+            const needle = query.toLowerCase();
+            return (word) => word.toLowerCase().includes(needle);
+        }
+        try {
+            const pattern = new RegExp(query, 'iu');
+            return (word) => pattern.test(word);
+        } catch (err) {
+            return null;
+        }
+    }
+
+    function runSearch() {
+        if (document.getElementById('search-panel').hidden) return;
+
+        const query = document.getElementById('search-input').value;
+        const regex = document.getElementById('search-regex').classList.contains('active');
+        const scope = document.getElementById('search-scope').value;
+        const count = document.getElementById('search-count');
+
+        const matches = query ? searchMatcher(query, regex) : null;
+        if ((query && !matches) || (!query && scope === 'all')) {
+            searchResults = [];
+            searchIndex = -1;
+        } else {
+            const author = scope === 'all' ? null : scope.startsWith('user:') ? scope.slice(5) : userId;
+            const active = searchResults[searchIndex];
+            searchResults = Array.from(grid.words)
+                .filter(([, cell]) =>
+                    cell.word && (cell.status || 'visible') === 'visible' &&
+                    (!author || cell.user_id === author) &&
+                    (scope !== 'phrase' || cell.group_id === currentGroupId) &&
+                    (!matches || matches(cell.word)))
+                .map(([position]) => position)
+                .sort((a, b) => a - b);
+
+            // Stay on the same match while results change under us
+            searchIndex = searchResults.indexOf(active);
+        }
+
+        updateSearchCount();
+        if (query && !matches) count.textContent = 'Invalid pattern';
+        grid.setSearchMatches(searchResults, searchResults[searchIndex] ?? null);
+        grid.render();
+    }
+
+    // Enter: next match (wrapping around); Shift+Enter: previous
+    function stepSearch(direction) {
+        if (searchResults.length === 0) return;
+
+        searchIndex = searchIndex === -1
+            ? (direction > 0 ? 0 : searchResults.length - 1)
+            : (searchIndex + direction + searchResults.length) % searchResults.length;
+        const position = searchResults[searchIndex];
+        grid.setSearchMatches(searchResults, position);
+        grid.animateTo(position, 1, 400);
+        updateSearchCount();
+    }
+
+    function updateSearchCount() {
+        const count = document.getElementById('search-count');
+        if (searchResults.length === 0) {
+            count.textContent = document.getElementById('search-input').value ? 'No matches' : '';
+        } else if (searchIndex === -1) {
+            count.textContent = `${searchResults.length} match${searchResults.length === 1 ? '' : 'es'}`;
+        } else {
+            count.textContent = `${searchIndex + 1} / ${searchResults.length}`;
+        }
+    }
+
+    // --- Click-to-place ---
+    // Clicking an empty cell sends the next words there instead of after the
+    // last word; Escape goes back to the end of the grid
+    function setupClickToPlace() {
+        grid.onCellClick = (cell) => {
+            if (!limits.clickToPlace || grid.words.has(cell.position)) return;
+            placing = true;
+            cursorPosition = cell.position;
+            grid.setCursorPosition(cursorPosition);
+            grid.render();
+            sendPresence();
+        };
+    }
+
+    function stopPlacing() {
+        placing = false;
+        cursorPosition = nextEmptyCell(nextPosition);
+        grid.setCursorPosition(cursorPosition);
+        grid.ensureCursorVisible();
+        grid.render();
+        sendPresence();
+    }
+
+    // Extra submit payload naming our cell while we are placing by click
+    function placement() {
+        return placing ? { position: cursorPosition } : {};
+    }
+
+    // First empty cell at or after position, like the server's placement
+    function nextEmptyCell(position) {
+        const cells = gridSize.width * gridSize.height;
+        while (position < cells && grid.words.has(position)) position++;
+        return position;
+    }
+
+    // --- Retract ---
+    function setupRetract() {
+        document.getElementById('retract-btn').addEventListener('click', retractLastWord);
+    }
+
+    // Take back our newest word in the current phrase
+    function retractLastWord() {
+        if (banned) return;
+        socket.emit('retract-words', { groupId: currentGroupId, count: 1 });
+    }
+
     function setGenerateButtonLoading(loading) {
         const text = document.getElementById('generate-btn-text');
         const spinner = document.getElementById('generate-spinner');
@@ -264,11 +1027,29 @@
             text.textContent = 'Generating...';
             spinner.style.display = 'block';
         } else {
-            text.textContent = 'Generate Image';
+            text.textContent = generateButtonLabel();
             spinner.style.display = 'none';
         }
     }
 
+    // Status line under the image: our own place in the queue wins over the
+    // generic "generating" message
+    function updateQueueStatus() {
+        const waiting = queue.queued.length;
+        const ours = queue.queued.findIndex(job => job.requestedBy === userId);
+
+        if (ours !== -1 && queue.queued[ours].retryAt > Date.now()) {
+            const seconds = Math.ceil((queue.queued[ours].retryAt - Date.now()) / 1000);
+            setGenerationStatus(`Retrying your image in ${seconds}s`);
+        } else if (ours !== -1) {
+            setGenerationStatus(`Your image is #${ours + 1} in the queue`);
+        } else if (isGenerating) {
+            setGenerationStatus(waiting > 0 ? `Generating image... (${waiting} queued)` : 'Generating image...');
+        } else {
+            setGenerationStatus('');
+        }
+    }
+
     function setGenerationStatus(msg) {
         document.getElementById('generation-status').textContent = msg;
     }
@@ -278,26 +1059,231 @@
         const img = document.getElementById('generated-image');
         const placeholder = document.getElementById('image-placeholder');
 
+        // A fresh season has no image yet
+        if (!imagePath) {
+            img.removeAttribute('src');
+            img.style.display = 'none';
+            placeholder.style.display = 'flex';
+            return;
+        }
+
         img.src = imagePath;
         img.style.display = 'block';
         placeholder.style.display = 'none';
     }
 
+    function setCurrentImage(imagePath) {
+        currentImagePath = imagePath;
+        if (selectedHistoryId === null) {
+            showImage(imagePath);
+        }
+        renderHistory();
+    }
+
+    // Draw the room from a full state snapshot (initial-state, new season)
+    function applyState(data) {
+        if (data.grid) {
+            gridSize = data.grid;
+            grid.setGridSize(gridSize.width, gridSize.height);
+        }
+        season = data.season || null;
+        if (data.limits) {
+            limits = data.limits;
+        }
+
+        // Load all words
+        data.words.forEach(w => {
+            grid.setWord(w.position, {
+                word: w.word,
+                user_id: w.user_id,
+                user_color: w.user_color,
+                group_id: w.group_id,
+                status: w.status
+            });
+        });
+
+        nextPosition = data.nextPosition;
+        cursorPosition = nextPosition;
+        placing = false;
+        grid.setCursorPosition(cursorPosition);
+
+        grid.remoteCursors.clear();
+        (data.cursors || []).forEach(c => grid.setRemoteCursor(c.id, c, c.idle));
+        roster = new Map((data.roster || []).map(entry => [entry.userId, entry]));
+        renderRoster();
+        lastPresence = null;
+        sendPresence();
+        grid.centerOnPosition(cursorPosition);
+        grid.render();
+        runSearch();
+
+        // Update UI
+        updateWordCount(data.wordCount);
+        updateOnlineUsers(data.onlineUsers);
+        updateCursorDisplay();
+
+        // Load current image
+        if (data.currentImage) {
+            setCurrentImage(data.currentImage);
+        }
+        rewindTally = data.rewindVote || null;
+
+        // Hide generate button until new words are added
+        updateGenerateButton();
+
+        voteTally = data.vote || null;
+        autoGenerate = data.autoGenerate || null;
+        updateAutoGenerateStatus();
+
+        if (data.queue) {
+            queue = data.queue;
+            isGenerating = !!queue.running;
+            setGenerateButtonLoading(isGenerating);
+            updateQueueStatus();
+        }
+    }
+
+    function resetGrid() {
+        grid.clearWords();
+        unconfirmed.clear();
+        grid.clearHighlight();
+        selectedHistoryId = null;
+        history = [];
+        hasNewWords = false;
+        currentGroupId = newGroupId();
+        setCurrentImage('');
+    }
+
+    // --- Image History ---
+    function setupHistory() {
+        document.getElementById('rewind-btn').addEventListener('click', () => {
+            if (selectedHistoryId !== null) {
+                socket.emit('vote-rewind', { historyId: selectedHistoryId });
+            }
+        });
+        document.getElementById('timelapse-link').href = `${API_URL}/history/timelapse?captions=1`;
+        document.getElementById('seasons-link').href = ROOM ? `/seasons.html?room=${encodeURIComponent(ROOM)}` : '/seasons.html';
+        loadHistory();
+    }
+
+    function loadHistory() {
+        fetch(`${API_URL}/history`)
+            .then(res => res.json())
+            .then(rows => {
+                history = rows.filter(row => row.status === 'complete');
+                renderHistory();
+            })
+            .catch(err => console.error('Failed to load history:', err));
+    }
+
+    function renderHistory() {
+        const strip = document.getElementById('history-strip');
+        strip.innerHTML = '';
+
+        history.forEach(entry => {
+            const thumb = document.createElement('img');
+            thumb.className = 'history-thumb';
+            thumb.src = entry.image_path;
+            thumb.title = `${entry.word_count.toLocaleString()} words`;
+            thumb.classList.toggle('current', entry.image_path === currentImagePath);
+            thumb.classList.toggle('selected', entry.id === selectedHistoryId);
+            thumb.classList.toggle('voting', !!rewindTally && rewindTally.historyId === entry.id);
+            thumb.addEventListener('click', () => selectHistoryEntry(entry.id));
+            strip.appendChild(thumb);
+        });
+
+        updateRewindButton();
+    }
+
+    // Selecting a past image previews it; selecting it again returns to the
+    // current image
+    function selectHistoryEntry(id) {
+        selectedHistoryId = selectedHistoryId === id ? null : id;
+        const entry = history.find(e => e.id === selectedHistoryId);
+        showImage(entry ? entry.image_path : currentImagePath);
+        renderHistory();
+        highlightHistoryWords(selectedHistoryId);
+    }
+
+    // Light up the grid cells whose words went into the selected image
+    function highlightHistoryWords(historyId) {
+        grid.clearHighlight();
+        grid.render();
+        if (historyId === null) return;
+
+        fetch(`${API_URL}/history/${historyId}/words`)
+            .then(res => res.json())
+            .then(data => {
+                if (historyId !== selectedHistoryId || !data.words) return;
+                grid.setHighlight(data.words.map(w => w.position));
+                if (data.firstPosition !== null) {
+                    grid.animateTo(data.firstPosition, null, 400);
+                }
+                grid.render();
+            })
+            .catch(err => console.error('Failed to load image words:', err));
+    }
+
+    function updateRewindButton() {
+        const btn = document.getElementById('rewind-btn');
+        const entry = history.find(e => e.id === selectedHistoryId);
+
+        if (!entry || entry.image_path === currentImagePath) {
+            btn.style.display = 'none';
+            return;
+        }
+
+        btn.style.display = 'block';
+        btn.textContent = rewindTally && rewindTally.historyId === entry.id
+            ? `Branch from here \u00b7 ${rewindTally.votes} / ${rewindTally.needed}`
+            : 'Branch from here';
+    }
+
     // --- UI Updates ---
     function updateWordCount(count) {
+        // Like the server, count only words everyone can see: not held,
+        // redacted or retracted (our own unconfirmed words have no status yet)
         if (count === undefined) {
-            count = grid.words.size;
+            count = Array.from(grid.words.values())
+                .filter(cell => !cell.status || cell.status === 'visible').length;
         }
         document.getElementById('word-count').textContent = count.toLocaleString();
         updateProgressBar(count);
     }
 
     function updateProgressBar(count) {
-        const total = 10000;
+        const total = gridSize.width * gridSize.height;
         const pct = Math.min(100, (count / total) * 100);
         document.getElementById('progress-fill').style.width = pct + '%';
+        const prefix = season && season.number > 1 ? `Season ${season.number} \u00b7 ` : '';
         document.getElementById('progress-label').textContent =
-            `${count.toLocaleString()} / 10,000 words`;
+            `${prefix}${count.toLocaleString()} / ${total.toLocaleString()} words`;
+    }
+
+    // "12 words until next image · next image in 0:42" (whichever policies are on)
+    function updateAutoGenerateStatus() {
+        const el = document.getElementById('auto-generate-status');
+        if (!autoGenerate) {
+            el.textContent = '';
+            return;
+        }
+
+        const parts = [];
+        const { wordsUntilNext, idleDeadline, nextScheduledAt } = autoGenerate;
+
+        if (wordsUntilNext !== null && wordsUntilNext !== undefined) {
+            parts.push(wordsUntilNext === 1 ? '1 word until next image' : `${wordsUntilNext} words until next image`);
+        }
+
+        const deadlines = [idleDeadline, nextScheduledAt].filter(Boolean);
+        if (deadlines.length > 0) {
+            const seconds = Math.max(0, Math.ceil((Math.min(...deadlines) - Date.now()) / 1000));
+            const mins = Math.floor(seconds / 60);
+            const secs = String(seconds % 60).padStart(2, '0');
+            parts.push(`next image in ${mins}:${secs}`);
+        }
+
+        el.textContent = parts.join(' \u00b7 ');
     }
 
     function updateOnlineUsers(count) {
@@ -3,7 +3,7 @@ class WordGrid {
         this.canvas = document.getElementById(canvasId);
         this.ctx = this.canvas.getContext('2d');
 
-        // Grid configuration
+        // Grid configuration (the server sends the real size in initial-state)
         this.gridCols = 100;
         this.gridRows = 100;
         this.cellWidth = 64;
@@ -22,13 +22,23 @@ class WordGrid {
 
         // Word data: position (int) -> { word, user_id, user_color, row, col }
         this.words = new Map();
+        this.wordsVersion = 0; // bumped on every change, so views can cache
 
         // Current cursor position (next cell to type into)
         this.cursorPosition = 0;
         this.currentWord = ''; // word being typed
 
-        // Remote cursors
+        // Remote cursors: id -> { position, color, word, userId, updatedAt }.
+        // A cursor that has not moved for remoteCursorTtl ms is dropped.
         this.remoteCursors = new Map();
+        this.remoteCursorTtl = 15000;
+
+        // Cells behind a selected image (positions)
+        this.highlightedPositions = new Set();
+
+        // Search results (positions) and the one currently stepped to
+        this.searchMatches = new Set();
+        this.activeMatch = null;
 
         // Camera animation
         this.cameraAnim = null;
@@ -66,6 +76,20 @@ class WordGrid {
         this.render();
     }
 
+    // Positions are laid out row by row, so cached row/col values are
+    // recomputed for the new width
+    setGridSize(cols, rows) {
+        this.gridCols = cols;
+        this.gridRows = rows;
+        for (const [position, data] of this.words) {
+            data.row = Math.floor(position / cols);
+            data.col = position % cols;
+        }
+        this._groupCache = null;
+        this.wordsVersion++;
+        this.camera.zoom = Math.max(this.getMinZoom(), this.camera.zoom);
+    }
+
     getMinZoom() {
         const gridW = this.gridCols * this.cellWidth;
         const gridH = this.gridRows * this.cellHeight;
@@ -77,8 +101,11 @@ class WordGrid {
     centerOnPosition(position) {
         const row = Math.floor(position / this.gridCols);
         const col = position % this.gridCols;
-        const worldX = col * this.cellWidth + this.cellWidth / 2;
-        const worldY = row * this.cellHeight + this.cellHeight / 2;
+        this.centerOnPoint(col * this.cellWidth + this.cellWidth / 2, row * this.cellHeight + this.cellHeight / 2);
+    }
+
+    // Center the view on a point in world coordinates
+    centerOnPoint(worldX, worldY) {
         this.camera.x = this.canvas.width / 2 - worldX * this.camera.zoom;
         this.camera.y = this.canvas.height / 2 - worldY * this.camera.zoom;
     }
@@ -220,14 +247,28 @@ class WordGrid {
             col: position % this.gridCols
         });
         this._groupCache = null; // invalidate
+        this.wordsVersion++;
+    }
+
+    removeWord(position) {
+        this.words.delete(position);
+        this._groupCache = null;
+        this.wordsVersion++;
+    }
+
+    clearWords() {
+        this.words.clear();
+        this._groupCache = null;
+        this.wordsVersion++;
     }
 
     // Build groups: consecutive cells on the same row with the same group_id
-    // become a single visual block
+    // become a single visual block. Retracted words (tombstones) always stand
+    // alone so they can be drawn differently.
     _buildGroups() {
         if (this._groupCache) return this._groupCache;
 
-        const groups = []; // { group_id, color, cells: [{pos, row, col, word}], startCol, endCol, row }
+        const groups = []; // { group_id, color, tombstone, cells: [{pos, row, col, word, status}], startCol, endCol, row }
         const assigned = new Set();
 
         // Sort positions
@@ -239,18 +280,19 @@ class WordGrid {
             const row = data.row;
             const col = data.col;
             const gid = data.group_id;
+            const tombstone = data.status === 'retracted';
 
             // Collect consecutive cells in same row with same group_id
-            const cells = [{ pos, row, col, word: data.word }];
+            const cells = [{ pos, row, col, word: data.word, status: data.status }];
             assigned.add(pos);
 
-            if (gid) {
+            if (gid && !tombstone) {
                 // Look ahead for consecutive cells in the same row & group
                 let nextPos = pos + 1;
                 while (this.words.has(nextPos)) {
                     const next = this.words.get(nextPos);
-                    if (next.group_id !== gid || next.row !== row) break;
-                    cells.push({ pos: nextPos, row: next.row, col: next.col, word: next.word });
+                    if (next.group_id !== gid || next.row !== row || next.status === 'retracted') break;
+                    cells.push({ pos: nextPos, row: next.row, col: next.col, word: next.word, status: next.status });
                     assigned.add(nextPos);
                     nextPos++;
                 }
@@ -259,6 +301,7 @@ class WordGrid {
             groups.push({
                 group_id: gid,
                 color: data.user_color,
+                tombstone,
                 cells,
                 row,
                 startCol: cells[0].col,
@@ -270,6 +313,24 @@ class WordGrid {
         return groups;
     }
 
+    setHighlight(positions) {
+        this.highlightedPositions = new Set(positions);
+    }
+
+    clearHighlight() {
+        this.highlightedPositions.clear();
+    }
+
+    setSearchMatches(positions, active = null) {
+        this.searchMatches = new Set(positions);
+        this.activeMatch = active;
+    }
+
+    clearSearchMatches() {
+        this.searchMatches.clear();
+        this.activeMatch = null;
+    }
+
     setCursorPosition(position) {
         this.cursorPosition = position;
     }
@@ -278,8 +339,10 @@ class WordGrid {
         this.currentWord = word;
     }
 
-    setRemoteCursor(id, position, color) {
-        this.remoteCursors.set(id, { position, color });
+    // cursor: { position, color, word, userId }; idle: how long ago (ms)
+    // it last moved
+    setRemoteCursor(id, { position, color, word = '', userId = null }, idle = 0) {
+        this.remoteCursors.set(id, { position, color, word, userId, updatedAt: Date.now() - idle });
     }
 
     removeRemoteCursor(id) {
@@ -400,6 +463,20 @@ class WordGrid {
                 const gh = this.cellHeight - pad * 2;
                 const gr = Math.min(this.cellRadius, gw / 2, gh / 2);
 
+                // Tombstone: an empty dashed outline with a cross
+                if (group.tombstone) {
+                    this.roundRect(ctx, gx, gy, gw, gh, gr);
+                    ctx.setLineDash([3 / zoom, 2 / zoom]);
+                    ctx.strokeStyle = 'rgba(0, 0, 0, 0.18)';
+                    ctx.lineWidth = 1 / zoom;
+                    ctx.stroke();
+                    ctx.setLineDash([]);
+
+                    ctx.fillStyle = '#ccc';
+                    ctx.fillText('\u00d7', gx + gw / 2, gy + gh / 2 + 0.5);
+                    continue;
+                }
+
                 this.roundRect(ctx, gx, gy, gw, gh, gr);
                 ctx.fillStyle = this.groupColorStr(group.group_id, 0.35);
                 ctx.fill();
@@ -415,11 +492,15 @@ class WordGrid {
                     const cx = cell.col * this.cellWidth + this.cellWidth / 2;
                     const cy = group.row * this.cellHeight + this.cellHeight / 2;
 
-                    ctx.fillStyle = '#444';
+                    // Held and redacted words are grayed out; where their text
+                    // is withheld, only an ellipsis shows
+                    const muted = cell.status === 'held' || cell.status === 'redacted';
+                    const text = cell.word || '\u2026';
+                    ctx.fillStyle = muted ? '#aaa' : '#444';
                     const maxLen = Math.floor(this.cellWidth / (fontSize * 0.58));
-                    const displayText = cell.word.length > maxLen
-                        ? cell.word.substring(0, maxLen - 1) + '\u2026'
-                        : cell.word;
+                    const displayText = text.length > maxLen
+                        ? text.substring(0, maxLen - 1) + '\u2026'
+                        : text;
                     ctx.fillText(displayText, cx, cy + 0.5);
                 }
             }
@@ -436,7 +517,7 @@ class WordGrid {
                 const gr = Math.min(gh / 2, gw / 2, 4);
 
                 this.roundRect(ctx, gx, gy, gw, gh, gr);
-                ctx.fillStyle = this.groupColorStr(group.group_id, 0.45);
+                ctx.fillStyle = group.tombstone ? 'rgba(0, 0, 0, 0.06)' : this.groupColorStr(group.group_id, 0.45);
                 ctx.fill();
             }
         } else {
@@ -446,7 +527,7 @@ class WordGrid {
                 if (group.row < startRow || group.row >= endRow) continue;
                 if (group.endCol < startCol || group.startCol >= endCol) continue;
 
-                ctx.fillStyle = this.groupColorStr(group.group_id, opacity);
+                ctx.fillStyle = group.tombstone ? 'rgba(0, 0, 0, 0.06)' : this.groupColorStr(group.group_id, opacity);
                 ctx.fillRect(
                     group.startCol * this.cellWidth,
                     group.row * this.cellHeight,
@@ -456,6 +537,48 @@ class WordGrid {
             }
         }
 
+        // Highlight overlay: cells whose words fed the selected image
+        if (this.highlightedPositions.size > 0) {
+            ctx.fillStyle = 'rgba(250, 204, 21, 0.35)';
+            ctx.strokeStyle = 'rgba(202, 138, 4, 0.8)';
+            ctx.lineWidth = 1.5 / zoom;
+
+            this.highlightedPositions.forEach((position) => {
+                const row = Math.floor(position / this.gridCols);
+                const col = position % this.gridCols;
+                if (row < startRow || row >= endRow || col < startCol || col >= endCol) return;
+
+                const x = col * this.cellWidth + pad;
+                const y = row * this.cellHeight + pad;
+                const w = this.cellWidth - pad * 2;
+                const h = this.cellHeight - pad * 2;
+
+                this.roundRect(ctx, x, y, w, h, Math.min(this.cellRadius, w / 2, h / 2));
+                ctx.fill();
+                ctx.stroke();
+            });
+        }
+
+        // Search results; the current one stands out
+        this.searchMatches.forEach((position) => {
+            const row = Math.floor(position / this.gridCols);
+            const col = position % this.gridCols;
+            if (row < startRow || row >= endRow || col < startCol || col >= endCol) return;
+
+            const active = position === this.activeMatch;
+            const x = col * this.cellWidth + pad;
+            const y = row * this.cellHeight + pad;
+            const w = this.cellWidth - pad * 2;
+            const h = this.cellHeight - pad * 2;
+
+            this.roundRect(ctx, x, y, w, h, Math.min(this.cellRadius, w / 2, h / 2));
+            ctx.fillStyle = active ? 'rgba(249, 115, 22, 0.35)' : 'rgba(249, 115, 22, 0.15)';
+            ctx.strokeStyle = active ? 'rgba(234, 88, 12, 1)' : 'rgba(234, 88, 12, 0.6)';
+            ctx.lineWidth = (active ? 2.5 : 1.5) / zoom;
+            ctx.fill();
+            ctx.stroke();
+        });
+
         // Draw cursor (current typing position)
         const cursorRow = Math.floor(this.cursorPosition / this.gridCols);
         const cursorCol = this.cursorPosition % this.gridCols;
@@ -509,8 +632,14 @@ class WordGrid {
             }
         }
 
-        // Draw remote cursors
-        this.remoteCursors.forEach((cursor) => {
+        // Draw remote cursors, with the word each person is typing
+        const now = Date.now();
+        this.remoteCursors.forEach((cursor, id) => {
+            if (now - cursor.updatedAt > this.remoteCursorTtl) {
+                this.remoteCursors.delete(id);
+                return;
+            }
+
             const row = Math.floor(cursor.position / this.gridCols);
             const col = cursor.position % this.gridCols;
             if (row < startRow || row >= endRow || col < startCol || col >= endCol) return;
@@ -522,9 +651,26 @@ class WordGrid {
             const r = Math.min(this.cellRadius, w / 2, h / 2);
 
             this.roundRect(ctx, x, y, w, h, r);
-            ctx.strokeStyle = this.softenColor(cursor.color, 0.5);
+            ctx.fillStyle = this.softenColor(cursor.color, 0.12);
+            ctx.fill();
+            ctx.strokeStyle = this.softenColor(cursor.color, 0.7);
             ctx.lineWidth = 1.5 / zoom;
             ctx.stroke();
+
+            // Ghost of the word in progress, until it lands in the cell
+            if (cursor.word && showText && !this.words.has(cursor.position)) {
+                const fontSize = Math.min(11, this.cellHeight * 0.42);
+                ctx.font = `italic 500 ${fontSize}px -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif`;
+                ctx.textAlign = 'center';
+                ctx.textBaseline = 'middle';
+                ctx.fillStyle = this.softenColor(cursor.color, 0.8);
+
+                const maxLen = Math.floor(this.cellWidth / (fontSize * 0.58));
+                const displayText = cursor.word.length > maxLen
+                    ? cursor.word.substring(0, maxLen - 1) + '\u2026'
+                    : cursor.word;
+                ctx.fillText(displayText, x + w / 2, y + h / 2 + 0.5);
+            }
         });
 
         ctx.restore();
@@ -0,0 +1,171 @@
+// Overview of the whole board in a corner of the grid panel: filled cells in
+// their phrase colors, the part the main view shows, and everyone's cursor.
+// Clicking or dragging on it moves the main view there.
+class Minimap {
+    constructor(canvasId, grid) {
+        this.canvas = document.getElementById(canvasId);
+        this.ctx = this.canvas.getContext('2d');
+        this.grid = grid;
+
+        // Filled cells are drawn once into this layer and reused until the
+        // grid's words or size change
+        this.layer = document.createElement('canvas');
+        this.layerVersion = -1;
+        this.gridSize = null; // "colsxrows" the canvas was sized for
+
+        this.isDragging = false;
+        this.animationFrame = 0;
+
+        this.init();
+    }
+
+    init() {
+        this.canvas.addEventListener('mousedown', this.onMouseDown.bind(this));
+        window.addEventListener('mousemove', this.onMouseMove.bind(this));
+        window.addEventListener('mouseup', () => {
+            this.isDragging = false;
+        });
+        window.addEventListener('resize', () => {
+            this.gridSize = null;
+        });
+        this.startAnimationLoop();
+    }
+
+    // The main view moves in many ways (drag, zoom, follow, search), so the
+    // minimap simply redraws every few frames
+    startAnimationLoop() {
+        const animate = () => {
+            this.animationFrame++;
+            if (this.animationFrame % 4 === 0) {
+                this.render();
+            }
+            requestAnimationFrame(animate);
+        };
+        animate();
+    }
+
+    // The canvas keeps its CSS width and takes the height that matches the
+    // board's proportions
+    resize() {
+        const grid = this.grid;
+        const worldW = grid.gridCols * grid.cellWidth;
+        const worldH = grid.gridRows * grid.cellHeight;
+        const width = this.canvas.clientWidth || 180;
+        const height = Math.max(40, Math.min(width, Math.round(width * worldH / worldW)));
+
+        this.canvas.width = width;
+        this.canvas.height = height;
+        this.canvas.style.height = `${height}px`;
+        this.layer.width = width;
+        this.layer.height = height;
+        this.layerVersion = -1;
+        this.gridSize = `${grid.gridCols}x${grid.gridRows}`;
+    }
+
+    // Minimap pixels per world unit, horizontally and vertically
+    scale() {
+        const grid = this.grid;
+        return {
+            x: this.canvas.width / (grid.gridCols * grid.cellWidth),
+            y: this.canvas.height / (grid.gridRows * grid.cellHeight)
+        };
+    }
+
+    // Phrase colors are pastel; darker versions stay visible at this size
+    cellColor(cell) {
+        if (cell.status === 'retracted' || cell.status === 'redacted') {
+            return 'rgba(0, 0, 0, 0.12)';
+        }
+        const c = this.grid.groupColor(cell.group_id);
+        return `hsl(${c.h}, ${c.s + 15}%, ${c.l - 15}%)`;
+    }
+
+    renderLayer() {
+        const grid = this.grid;
+        const ctx = this.layer.getContext('2d');
+        const s = this.scale();
+        const w = Math.max(1, grid.cellWidth * s.x);
+        const h = Math.max(1, grid.cellHeight * s.y);
+
+        ctx.clearRect(0, 0, this.layer.width, this.layer.height);
+        for (const cell of grid.words.values()) {
+            ctx.fillStyle = this.cellColor(cell);
+            ctx.fillRect(cell.col * grid.cellWidth * s.x, cell.row * grid.cellHeight * s.y, w, h);
+        }
+        this.layerVersion = grid.wordsVersion;
+    }
+
+    render() {
+        const grid = this.grid;
+        if (this.gridSize !== `${grid.gridCols}x${grid.gridRows}`) {
+            this.resize();
+        }
+        if (this.layerVersion !== grid.wordsVersion) {
+            this.renderLayer();
+        }
+
+        const ctx = this.ctx;
+        const s = this.scale();
+        ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+        ctx.drawImage(this.layer, 0, 0);
+
+        // Cursors, a little larger than their cell so they can be spotted
+        const now = Date.now();
+        grid.remoteCursors.forEach(cursor => {
+            if (now - cursor.updatedAt > grid.remoteCursorTtl) return;
+            this.drawCursor(cursor.position, cursor.color, s);
+        });
+        this.drawCursor(grid.cursorPosition, '#6366F1', s);
+
+        // What the main view shows
+        const zoom = grid.camera.zoom;
+        const x = -grid.camera.x / zoom * s.x;
+        const y = -grid.camera.y / zoom * s.y;
+        const w = grid.canvas.width / zoom * s.x;
+        const h = grid.canvas.height / zoom * s.y;
+        ctx.fillStyle = 'rgba(99, 102, 241, 0.08)';
+        ctx.fillRect(x, y, w, h);
+        ctx.strokeStyle = 'rgba(99, 102, 241, 0.8)';
+        ctx.lineWidth = 1;
+        ctx.strokeRect(Math.round(x) + 0.5, Math.round(y) + 0.5, Math.round(w), Math.round(h));
+    }
+
+    drawCursor(position, color, s) {
+        const grid = this.grid;
+        const row = Math.floor(position / grid.gridCols);
+        const col = position % grid.gridCols;
+        const w = Math.max(4, grid.cellWidth * s.x);
+        const h = Math.max(4, grid.cellHeight * s.y);
+        const cx = (col + 0.5) * grid.cellWidth * s.x;
+        const cy = (row + 0.5) * grid.cellHeight * s.y;
+
+        this.ctx.fillStyle = color;
+        this.ctx.fillRect(cx - w / 2, cy - h / 2, w, h);
+    }
+
+    onMouseDown(e) {
+        e.preventDefault();
+        this.isDragging = true;
+        this.moveView(e);
+    }
+
+    onMouseMove(e) {
+        if (this.isDragging) {
+            this.moveView(e);
+        }
+    }
+
+    // Center the main view on the board point under the mouse
+    moveView(e) {
+        const grid = this.grid;
+        const rect = this.canvas.getBoundingClientRect();
+        const s = this.scale();
+        const x = Math.max(0, Math.min(this.canvas.width, e.clientX - rect.left - this.canvas.clientLeft));
+        const y = Math.max(0, Math.min(this.canvas.height, e.clientY - rect.top - this.canvas.clientTop));
+
+        grid.cameraAnim = null;
+        grid.centerOnPoint(x / s.x, y / s.y);
+        grid.render();
+        this.render();
+    }
+}
@@ -0,0 +1,109 @@
+// Million Token Image - Past seasons browser
+(function () {
+    const SERVER_URL = window.location.origin;
+
+    // Same room as the page that linked here (?room=<slug>)
+    const ROOM = new URLSearchParams(window.location.search).get('room');
+    const API_URL = ROOM ? `${SERVER_URL}/api/rooms/${encodeURIComponent(ROOM)}` : `${SERVER_URL}/api`;
+
+    let grid = null;
+    let seasons = [];
+    let selectedId = null;
+
+    function init() {
+        grid = new WordGrid('grid-canvas');
+        grid.setCursorPosition(null);
+
+        if (ROOM) {
+            document.getElementById('back-link').href = `/r/${encodeURIComponent(ROOM)}`;
+            document.title = `Past seasons · ${ROOM} · Million Token Image`;
+        }
+
+        fetch(`${API_URL}/seasons`)
+            .then(res => res.json())
+            .then(data => {
+                seasons = data.seasons || [];
+                document.getElementById('progress-label').textContent = seasons.length > 0
+                    ? `${seasons.length} past season${seasons.length === 1 ? '' : 's'} · now playing season ${data.current.number}`
+                    : 'No past seasons yet';
+                renderList();
+                if (seasons.length > 0) {
+                    selectSeason(seasons[0].id);
+                }
+            })
+            .catch(err => console.error('Failed to load seasons:', err));
+    }
+
+    function renderList() {
+        const list = document.getElementById('season-list');
+        list.innerHTML = '';
+
+        seasons.forEach(season => {
+            const item = document.createElement('button');
+            item.className = 'season-item';
+            item.classList.toggle('selected', season.id === selectedId);
+            item.title = `${season.word_count.toLocaleString()} words`;
+
+            if (season.final_image) {
+                const thumb = document.createElement('img');
+                thumb.src = season.final_image;
+                thumb.alt = '';
+                item.appendChild(thumb);
+            }
+
+            const label = document.createElement('span');
+            label.textContent = `Season ${season.id}`;
+            item.appendChild(label);
+
+            item.addEventListener('click', () => selectSeason(season.id));
+            list.appendChild(item);
+        });
+    }
+
+    function selectSeason(id) {
+        selectedId = id;
+        renderList();
+
+        fetch(`${API_URL}/seasons/${id}`)
+            .then(res => res.json())
+            .then(season => {
+                if (season.id !== selectedId) return;
+                showSeason(season);
+            })
+            .catch(err => console.error('Failed to load season:', err));
+    }
+
+    function showSeason(season) {
+        grid.clearWords();
+        grid.setGridSize(season.grid_width, season.grid_height);
+        season.words.forEach(w => {
+            grid.setWord(w.position, {
+                word: w.word,
+                user_id: w.user_id,
+                user_color: w.user_color,
+                group_id: w.group_id
+            });
+        });
+        grid.centerOnPosition(0);
+        grid.render();
+
+        const img = document.getElementById('generated-image');
+        const placeholder = document.getElementById('image-placeholder');
+        if (season.final_image) {
+            img.src = season.final_image;
+            img.style.display = 'block';
+            placeholder.style.display = 'none';
+        } else {
+            img.style.display = 'none';
+            placeholder.style.display = 'flex';
+            document.getElementById('placeholder-text').textContent = 'This season ended without an image';
+        }
+
+        const ENDINGS = { full: 'grid filled', admin: 'ended by an admin', reset: 'reset by an admin' };
+        const ended = ENDINGS[season.reason] || season.reason;
+        document.getElementById('generation-status').textContent =
+            `${season.word_count.toLocaleString()} words · ${season.started_at} – ${season.archived_at} · ${ended}`;
+    }
+
+    document.addEventListener('DOMContentLoaded', init);
+})();
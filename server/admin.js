@@ -0,0 +1,36 @@
+const crypto = require('crypto');
+
+// Admin routes are enabled by setting ADMIN_TOKEN; requests authenticate
+// with `Authorization: Bearer <ADMIN_TOKEN>`.
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || '';
+
+// Compare digests so the check takes the same time for any input
+function tokenMatches(token) {
+  const a = crypto.createHash('sha256').update(token).digest();
+  const b = crypto.createHash('sha256').update(ADMIN_TOKEN).digest();
+  return crypto.timingSafeEqual(a, b);
+}
+
+function isAdminToken(token) {
+  return !!ADMIN_TOKEN && typeof token === 'string' && tokenMatches(token);
+}
+
+// Express middleware for /api/admin routes
+function requireAdmin(req, res, next) {
+  if (!ADMIN_TOKEN) {
+    return res.status(403).json({ code: 'ADMIN_DISABLED', error: 'Admin API is disabled (ADMIN_TOKEN not set)' });
+  }
+
+  const header = req.get('authorization') || '';
+  const token = header.startsWith('Bearer ') ? header.slice(7) : '';
+  if (!isAdminToken(token)) {
+    return res.status(401).json({ code: 'UNAUTHORIZED', error: 'Invalid admin token' });
+  }
+
+  next();
+}
+
+module.exports = {
+  isAdminToken,
+  requireAdmin
+};
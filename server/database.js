@@ -1,11 +1,21 @@
 const Database = require('better-sqlite3');
 const path = require('path');
 
-const DB_PATH = path.join(__dirname, 'grid.db');
-let db;
+// Assign a color to a new user
+const USER_COLORS = [
+  '#6366F1', '#8B5CF6', '#64748B', '#6B7280', '#475569',
+  '#7C3AED', '#4F46E5', '#6D28D9', '#334155', '#57534E',
+  '#78716C', '#9333EA', '#4338CA', '#525252', '#71717A'
+];
 
-function initDatabase() {
-  db = new Database(DB_PATH);
+// Every room keeps its grid, image history and job queue in its own SQLite
+// file. openDatabase returns the operations bound to one such file.
+//
+// gridSize ({ width, height }) only applies when the file is new: positions
+// are laid out row by row, so an existing grid keeps the size it was
+// created with.
+function openDatabase(dbPath, gridSize = { width: 100, height: 100 }) {
+  const db = new Database(dbPath);
   db.pragma('journal_mode = WAL');
   db.pragma('foreign_keys = ON');
 
@@ -28,6 +38,18 @@ function initDatabase() {
       created_at DATETIME DEFAULT CURRENT_TIMESTAMP
     );
 
+    CREATE TABLE IF NOT EXISTS generation_jobs (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      status TEXT NOT NULL DEFAULT 'queued',
+      requested_by TEXT,
+      history_id INTEGER,
+      attempts INTEGER DEFAULT 0,
+      error TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      started_at DATETIME,
+      finished_at DATETIME
+    );
+
     CREATE TABLE IF NOT EXISTS users (
       id TEXT PRIMARY KEY,
       color TEXT NOT NULL,
@@ -39,182 +61,700 @@ function initDatabase() {
       key TEXT PRIMARY KEY,
       value TEXT
     );
+
+    CREATE TABLE IF NOT EXISTS seasons (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      reason TEXT NOT NULL,
+      word_count INTEGER,
+      final_image TEXT,
+      grid_width INTEGER,
+      grid_height INTEGER,
+      started_at DATETIME,
+      archived_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE TABLE IF NOT EXISTS season_words (
+      season_id INTEGER NOT NULL,
+      position INTEGER NOT NULL,
+      word TEXT NOT NULL,
+      user_id TEXT NOT NULL,
+      user_color TEXT NOT NULL,
+      group_id TEXT,
+      created_at DATETIME,
+      PRIMARY KEY (season_id, position)
+    );
   `);
 
   // Initialize state if not exists
   const initState = db.prepare('INSERT OR IGNORE INTO state (key, value) VALUES (?, ?)');
   initState.run('next_position', '0');
   initState.run('current_image', '');
+  initState.run('grid_width', String(gridSize.width));
+  initState.run('grid_height', String(gridSize.height));
+  db.prepare("INSERT OR IGNORE INTO state (key, value) VALUES ('season_started_at', CURRENT_TIMESTAMP)").run();
+
+  migrate();
+
+  const gridWidth = parseInt(getState('grid_width'), 10);
+  const gridHeight = parseInt(getState('grid_height'), 10);
+  const gridCells = gridWidth * gridHeight;
+
+  console.log(`Database initialized: ${path.relative(__dirname, dbPath)}`);
+
+  // Columns added after the first release; CREATE TABLE IF NOT EXISTS leaves
+  // existing databases untouched, so add them one by one
+  function migrate() {
+    addColumnIfMissing('image_history', 'failure_reason', 'TEXT');
+    addColumnIfMissing('image_history', 'failure_detail', 'TEXT');
+    addColumnIfMissing('generation_jobs', 'run_after', 'INTEGER');
+    addColumnIfMissing('generation_jobs', 'retry_of', 'INTEGER');
+    addColumnIfMissing('image_history', 'parent_id', 'INTEGER');
+    addColumnIfMissing('image_history', 'first_position', 'INTEGER');
+    addColumnIfMissing('image_history', 'last_position', 'INTEGER');
+    addColumnIfMissing('image_history', 'group_ids', 'TEXT');
+    addColumnIfMissing('image_history', 'season_id', 'INTEGER');
+    addColumnIfMissing('words', 'status', "TEXT NOT NULL DEFAULT 'visible'");
+    addColumnIfMissing('words', 'sequence', 'INTEGER');
+    addColumnIfMissing('image_history', 'last_sequence', 'INTEGER');
+    addColumnIfMissing('users', 'nickname', 'TEXT');
+
+    // Before click-to-place, words were placed in reading order
+    db.prepare('UPDATE words SET sequence = position WHERE sequence IS NULL').run();
+    db.prepare('UPDATE image_history SET last_sequence = last_position WHERE last_sequence IS NULL').run();
+  }
 
-  console.log('Database initialized');
-  return db;
-}
+  function addColumnIfMissing(table, column, definition) {
+    const columns = db.prepare(`PRAGMA table_info(${table})`).all();
+    if (!columns.some(c => c.name === column)) {
+      db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    }
+  }
 
-// Assign a color to a new user
-const USER_COLORS = [
-  '#6366F1', '#8B5CF6', '#64748B', '#6B7280', '#475569',
-  '#7C3AED', '#4F46E5', '#6D28D9', '#334155', '#57534E',
-  '#78716C', '#9333EA', '#4338CA', '#525252', '#71717A'
-];
+  function getState(key) {
+    const row = db.prepare('SELECT value FROM state WHERE key = ?').get(key);
+    return row ? row.value : null;
+  }
 
-function getOrCreateUser(userId) {
-  let user = db.prepare('SELECT * FROM users WHERE id = ?').get(userId);
-  if (!user) {
-    const color = USER_COLORS[Math.floor(Math.random() * USER_COLORS.length)];
-    db.prepare('INSERT INTO users (id, color) VALUES (?, ?)').run(userId, color);
-    user = { id: userId, color, words_contributed: 0 };
+  function getGridSize() {
+    return { width: gridWidth, height: gridHeight };
   }
-  return user;
-}
 
-function generateGroupId() {
-  return Date.now().toString(36) + Math.random().toString(36).substr(2, 6);
-}
+  // Row and column of a position in the row-by-row layout
+  function cellOf(position) {
+    return { row: Math.floor(position / gridWidth), col: position % gridWidth };
+  }
 
-// Atomically claim the next position and insert a word
-function claimNextPosition(userId, word, groupId) {
-  const txn = db.transaction(() => {
-    const row = db.prepare('SELECT value FROM state WHERE key = ?').get('next_position');
-    const position = parseInt(row.value, 10);
+  function getUser(userId) {
+    return db.prepare('SELECT * FROM users WHERE id = ?').get(userId) || null;
+  }
 
-    if (position >= 10000) {
-      throw new Error('Grid is full');
+  function getUserIds() {
+    return db.prepare('SELECT id FROM users').all().map(row => row.id);
+  }
+
+  function getOrCreateUser(userId) {
+    let user = db.prepare('SELECT * FROM users WHERE id = ?').get(userId);
+    if (!user) {
+      const color = USER_COLORS[Math.floor(Math.random() * USER_COLORS.length)];
+      db.prepare('INSERT INTO users (id, color) VALUES (?, ?)').run(userId, color);
+      user = { id: userId, color, words_contributed: 0 };
     }
+    return user;
+  }
+
+  // null clears the nickname
+  function setNickname(userId, nickname) {
+    getOrCreateUser(userId);
+    db.prepare('UPDATE users SET nickname = ? WHERE id = ?').run(nickname, userId);
+    return getUser(userId);
+  }
 
-    const user = getOrCreateUser(userId);
-    if (!groupId) groupId = generateGroupId();
+  function generateGroupId() {
+    return Date.now().toString(36) + Math.random().toString(36).substr(2, 6);
+  }
 
-    db.prepare('INSERT INTO words (position, word, user_id, user_color, group_id) VALUES (?, ?, ?, ?, ?)')
-      .run(position, word, userId, user.color, groupId);
+  // Order words were placed in, across the whole grid (positions only give
+  // the reading order once words can be put in any cell)
+  function nextSequence() {
+    return db.prepare('SELECT COALESCE(MAX(sequence), -1) + 1 as sequence FROM words').get().sequence;
+  }
 
-    db.prepare('UPDATE state SET value = ? WHERE key = ?')
-      .run(String(position + 1), 'next_position');
+  function isTaken(position) {
+    return !!db.prepare('SELECT 1 FROM words WHERE position = ?').get(position);
+  }
+
+  // First empty cell at or after position (gridCells when there is none)
+  function firstEmptyFrom(position) {
+    while (position < gridCells && isTaken(position)) position++;
+    return position;
+  }
 
-    db.prepare('UPDATE users SET words_contributed = words_contributed + 1 WHERE id = ?')
-      .run(userId);
+  function insertWord(position, word, user, groupId, status) {
+    db.prepare(`
+      INSERT INTO words (position, word, user_id, user_color, group_id, status, sequence)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `).run(position, word, user.id, user.color, groupId, status, nextSequence());
+
+    // next_position always points at an empty cell, so words placed by
+    // clicking ahead of it are stepped over
+    const next = parseInt(getState('next_position'), 10);
+    if (position === next) {
+      db.prepare('UPDATE state SET value = ? WHERE key = ?').run(String(firstEmptyFrom(next + 1)), 'next_position');
+    }
 
     return {
       position,
-      row: Math.floor(position / 100),
-      col: position % 100,
+      ...cellOf(position),
       word,
-      user_id: userId,
+      user_id: user.id,
       user_color: user.color,
-      group_id: groupId
+      group_id: groupId,
+      status
     };
-  });
+  }
 
-  return txn();
-}
+  // Atomically claim the next position and insert a word. status is
+  // 'visible', or 'held' while the word waits for moderator review.
+  function claimNextPosition(userId, word, groupId, status = 'visible') {
+    const txn = db.transaction(() => {
+      const position = firstEmptyFrom(getNextPosition());
+
+      if (position >= gridCells) {
+        throw new Error('Grid is full');
+      }
+
+      const user = getOrCreateUser(userId);
+      if (!groupId) groupId = generateGroupId();
+
+      const result = insertWord(position, word, user, groupId, status);
+      db.prepare('UPDATE users SET words_contributed = words_contributed + 1 WHERE id = ?')
+        .run(userId);
+
+      return result;
+    });
+
+    return txn();
+  }
+
+  // Atomically claim one chosen cell (click-to-place). Returns null when the
+  // cell is already taken: whoever claimed it first keeps it.
+  function claimPosition(userId, word, groupId, position, status = 'visible') {
+    const txn = db.transaction(() => {
+      if (position >= gridCells) {
+        throw new Error('That cell is outside the grid');
+      }
+      if (isTaken(position)) return null;
+
+      const user = getOrCreateUser(userId);
+      if (!groupId) groupId = generateGroupId();
+
+      const result = insertWord(position, word, user, groupId, status);
+      db.prepare('UPDATE users SET words_contributed = words_contributed + 1 WHERE id = ?')
+        .run(userId);
+
+      return result;
+    });
+
+    return txn();
+  }
 
-// Batch claim positions for multiple words (paste support)
-function claimMultiplePositions(userId, words, groupId) {
-  const txn = db.transaction(() => {
+  // Batch claim positions for multiple words (paste support); statuses[i]
+  // is the status of words[i] (default 'visible'). Words fill empty cells in
+  // reading order from start, or from next_position when start is null,
+  // stepping over taken ones.
+  function claimMultiplePositions(userId, words, groupId, statuses = [], start = null) {
+    const txn = db.transaction(() => {
+      if (start !== null && start >= gridCells) {
+        throw new Error('That cell is outside the grid');
+      }
+
+      let position = firstEmptyFrom(start === null ? getNextPosition() : start);
+      const user = getOrCreateUser(userId);
+      if (!groupId) groupId = generateGroupId();
+      const results = [];
+
+      for (const [i, word] of words.entries()) {
+        if (position >= gridCells) break;
+        results.push(insertWord(position, word, user, groupId, statuses[i] || 'visible'));
+        position = firstEmptyFrom(position + 1);
+      }
+
+      db.prepare('UPDATE users SET words_contributed = words_contributed + ? WHERE id = ?')
+        .run(results.length, userId);
+
+      return results;
+    });
+
+    return txn();
+  }
+
+  function getNextPosition() {
     const row = db.prepare('SELECT value FROM state WHERE key = ?').get('next_position');
-    let position = parseInt(row.value, 10);
-    const user = getOrCreateUser(userId);
-    if (!groupId) groupId = generateGroupId();
-    const results = [];
-
-    for (const word of words) {
-      if (position >= 10000) break;
-
-      db.prepare('INSERT INTO words (position, word, user_id, user_color, group_id) VALUES (?, ?, ?, ?, ?)')
-        .run(position, word, userId, user.color, groupId);
-
-      results.push({
-        position,
-        row: Math.floor(position / 100),
-        col: position % 100,
-        word,
-        user_id: userId,
-        user_color: user.color,
-        group_id: groupId
-      });
+    return parseInt(row.value, 10);
+  }
+
+  function getAllWords() {
+    return db.prepare('SELECT * FROM words ORDER BY position ASC').all();
+  }
+
+  // Held and redacted words are left out
+  function getWordCount() {
+    const row = db.prepare("SELECT COUNT(*) as count FROM words WHERE status = 'visible'").get();
+    return row.count;
+  }
+
+  // Words that may go into a prompt: not held for review, not redacted.
+  // order is 'grid' (reading order) or 'time' (order they were placed in).
+  function getPromptWords(order = 'grid') {
+    const orderBy = order === 'time' ? 'sequence' : 'position';
+    return db.prepare(`SELECT * FROM words WHERE status = 'visible' ORDER BY ${orderBy} ASC`).all();
+  }
+
+  // Get the last N words as a prompt string
+  function getPromptText(maxWords = 3000) {
+    const words = db.prepare("SELECT word FROM words WHERE status = 'visible' ORDER BY position DESC LIMIT ?").all(maxWords);
+    return words.reverse().map(w => w.word).join(' ');
+  }
+
+  // Get ALL words as a prompt string
+  function getFullPromptText() {
+    const words = db.prepare("SELECT word FROM words WHERE status = 'visible' ORDER BY position ASC").all();
+    return words.map(w => w.word).join(' ');
+  }
+
+  function getCurrentImage() {
+    const row = db.prepare('SELECT value FROM state WHERE key = ?').get('current_image');
+    return row ? row.value : '';
+  }
+
+  function setCurrentImage(imagePath) {
+    db.prepare('UPDATE state SET value = ? WHERE key = ?').run(imagePath, 'current_image');
+  }
+
+  // parentId: history entry of the image this one evolved from (null for a
+  // text-only generation)
+  function addImageHistory(imagePath, promptSnapshot, wordCount, status, parentId = null) {
+    return db.prepare(
+      'INSERT INTO image_history (image_path, prompt_snapshot, word_count, status, parent_id) VALUES (?, ?, ?, ?, ?)'
+    ).run(imagePath, promptSnapshot, wordCount, status, parentId);
+  }
 
-      position++;
+  function updateImageHistory(id, imagePath, status) {
+    db.prepare('UPDATE image_history SET image_path = ?, status = ? WHERE id = ?')
+      .run(imagePath, status, id);
+  }
+
+  function getImageHistory() {
+    return db.prepare('SELECT * FROM image_history WHERE season_id IS NULL ORDER BY created_at DESC LIMIT 20').all();
+  }
+
+  // Successful images, oldest first
+  function getCompletedImageHistory() {
+    return db.prepare("SELECT * FROM image_history WHERE status = 'complete' AND season_id IS NULL ORDER BY id ASC").all();
+  }
+
+  // Grid size when the latest successful image was made
+  function getLastGeneratedWordCount() {
+    const row = db.prepare(
+      "SELECT word_count FROM image_history WHERE status = 'complete' AND season_id IS NULL ORDER BY id DESC LIMIT 1"
+    ).get();
+    return row ? row.word_count : 0;
+  }
+
+  // Image paths are unique per generation, so the path identifies its entry
+  function getHistoryIdForImage(imagePath) {
+    if (!imagePath) return null;
+    const row = db.prepare(
+      "SELECT id FROM image_history WHERE image_path = ? AND status = 'complete' AND season_id IS NULL ORDER BY id DESC LIMIT 1"
+    ).get(imagePath);
+    return row ? row.id : null;
+  }
+
+  // Every history entry nested under the entry it evolved from
+  function getImageLineage() {
+    const rows = db.prepare(
+      `SELECT id, parent_id, image_path, status, word_count, failure_reason, created_at
+       FROM image_history WHERE season_id IS NULL ORDER BY id ASC`
+    ).all();
+
+    const nodes = new Map(rows.map(row => [row.id, { ...row, children: [] }]));
+    const roots = [];
+    for (const node of nodes.values()) {
+      const parent = node.parent_id && nodes.get(node.parent_id);
+      if (parent) {
+        parent.children.push(node);
+      } else {
+        roots.push(node);
+      }
     }
+    return roots;
+  }
 
-    db.prepare('UPDATE state SET value = ? WHERE key = ?')
-      .run(String(position), 'next_position');
+  function getImageHistoryEntry(id) {
+    return db.prepare('SELECT * FROM image_history WHERE id = ? AND season_id IS NULL').get(id);
+  }
 
-    db.prepare('UPDATE users SET words_contributed = words_contributed + ? WHERE id = ?')
-      .run(results.length, userId);
+  // Which grid words fed an entry's prompt: { firstPosition, lastPosition,
+  // lastSequence, groupIds }. lastSequence is the newest word placed by then.
+  function setImageHistoryRange(id, range) {
+    db.prepare('UPDATE image_history SET first_position = ?, last_position = ?, last_sequence = ?, group_ids = ? WHERE id = ?')
+      .run(range.firstPosition, range.lastPosition, range.lastSequence, JSON.stringify(range.groupIds), id);
+  }
 
-    return results;
-  });
+  function getImageHistoryRange(id) {
+    const row = db.prepare(
+      'SELECT first_position, last_position, last_sequence, group_ids FROM image_history WHERE id = ? AND season_id IS NULL'
+    ).get(id);
+    if (!row) return null;
+    return {
+      firstPosition: row.first_position,
+      lastPosition: row.last_position,
+      lastSequence: row.last_sequence,
+      groupIds: row.group_ids ? JSON.parse(row.group_ids) : []
+    };
+  }
 
-  return txn();
-}
+  // Words placed later into empty cells inside the range are left out
+  function getWordsInRange(firstPosition, lastPosition, lastSequence = null) {
+    return db.prepare(`
+      SELECT * FROM words
+      WHERE position BETWEEN ? AND ? AND status = 'visible' AND (? IS NULL OR sequence <= ?)
+      ORDER BY position ASC
+    `).all(firstPosition, lastPosition, lastSequence, lastSequence);
+  }
 
-function getNextPosition() {
-  const row = db.prepare('SELECT value FROM state WHERE key = ?').get('next_position');
-  return parseInt(row.value, 10);
-}
+  // --- Moderation ---
 
-function getAllWords() {
-  return db.prepare('SELECT * FROM words ORDER BY position ASC').all();
-}
+  function getHeldWords() {
+    return db.prepare("SELECT * FROM words WHERE status = 'held' ORDER BY position ASC").all();
+  }
 
-function getWordCount() {
-  const row = db.prepare('SELECT COUNT(*) as count FROM words').get();
-  return row.count;
-}
+  function getWord(position) {
+    return db.prepare('SELECT * FROM words WHERE position = ?').get(position);
+  }
 
-// Get the last N words as a prompt string
-function getPromptText(maxWords = 3000) {
-  const words = db.prepare('SELECT word FROM words ORDER BY position DESC LIMIT ?').all(maxWords);
-  return words.reverse().map(w => w.word).join(' ');
-}
+  // Returns the updated word, or null when no held word is at that position
+  function approveWord(position) {
+    const result = db.prepare("UPDATE words SET status = 'visible' WHERE position = ? AND status = 'held'").run(position);
+    return result.changes > 0 ? { ...getWord(position), ...cellOf(position) } : null;
+  }
 
-// Get ALL words as a prompt string
-function getFullPromptText() {
-  const words = db.prepare('SELECT word FROM words ORDER BY position ASC').all();
-  return words.map(w => w.word).join(' ');
-}
+  // The rejected word's cell stays empty; later words keep their positions
+  function rejectWord(position) {
+    const word = db.prepare("SELECT * FROM words WHERE position = ? AND status = 'held'").get(position);
+    if (!word) return null;
 
-function getCurrentImage() {
-  const row = db.prepare('SELECT value FROM state WHERE key = ?').get('current_image');
-  return row ? row.value : '';
-}
+    db.transaction(() => {
+      db.prepare('DELETE FROM words WHERE position = ?').run(position);
+      db.prepare('UPDATE users SET words_contributed = words_contributed - 1 WHERE id = ?').run(word.user_id);
+    })();
+    return word;
+  }
 
-function setCurrentImage(imagePath) {
-  db.prepare('UPDATE state SET value = ? WHERE key = ?').run(imagePath, 'current_image');
-}
+  // --- Retraction ---
+
+  // A user's words from one phrase that they may still take back, newest
+  // first: not yet fed to a running or successful generation (a failed or
+  // cancelled one made no image) and, when windowSeconds > 0, placed within
+  // the last windowSeconds
+  function getRetractableWords(userId, groupId, windowSeconds) {
+    const { lastFed } = db.prepare(
+      "SELECT MAX(last_sequence) as lastFed FROM image_history WHERE season_id IS NULL AND status IN ('generating', 'complete')"
+    ).get();
+
+    const recent = windowSeconds > 0 ? "AND created_at >= datetime('now', ?)" : '';
+    const params = [userId, groupId, lastFed === null ? -1 : lastFed];
+    if (windowSeconds > 0) params.push(`-${windowSeconds} seconds`);
+
+    return db.prepare(`
+      SELECT * FROM words
+      WHERE user_id = ? AND group_id = ? AND status IN ('visible', 'held') AND sequence > ? ${recent}
+      ORDER BY sequence DESC
+    `).all(...params);
+  }
 
-function addImageHistory(imagePath, promptSnapshot, wordCount, status) {
-  return db.prepare(
-    'INSERT INTO image_history (image_path, prompt_snapshot, word_count, status) VALUES (?, ?, ?, ?)'
-  ).run(imagePath, promptSnapshot, wordCount, status);
-}
+  // Retracted words stay as tombstones: the cell is kept, the text is not
+  // shown and it never reaches a prompt. Returns the positions.
+  function retractWords(positions) {
+    const retract = db.prepare("UPDATE words SET status = 'retracted' WHERE position = ?");
+    const uncount = db.prepare(
+      'UPDATE users SET words_contributed = words_contributed - 1 WHERE id = (SELECT user_id FROM words WHERE position = ?)'
+    );
+    db.transaction(() => {
+      positions.forEach(position => {
+        uncount.run(position);
+        retract.run(position);
+      });
+    })();
+    return positions;
+  }
 
-function updateImageHistory(id, imagePath, status) {
-  db.prepare('UPDATE image_history SET image_path = ?, status = ? WHERE id = ?')
-    .run(imagePath, status, id);
-}
+  // --- Statistics ---
+
+  // Per-user contribution figures for the current season, most words
+  // first. Only words placed in the last windowSeconds count when it is set;
+  // retracted words never count. imagesFed is how many completed images
+  // used at least one of the user's words.
+  function getContributorStats({ userId = null, windowSeconds = null, limit = -1 } = {}) {
+    const since = windowSeconds ? `-${windowSeconds} seconds` : null;
+    return db.prepare(`
+      WITH placed AS (
+        SELECT * FROM words
+        WHERE status != 'retracted' AND (? IS NULL OR created_at >= datetime('now', ?)) AND (? IS NULL OR user_id = ?)
+      ),
+      phrases AS (
+        SELECT user_id, COUNT(*) as size FROM placed GROUP BY user_id, group_id
+      ),
+      fed AS (
+        SELECT p.user_id, COUNT(DISTINCT h.id) as images
+        FROM placed p
+        JOIN image_history h ON h.season_id IS NULL AND h.status = 'complete'
+          AND p.position BETWEEN h.first_position AND h.last_position
+          AND p.sequence <= h.last_sequence
+          AND (p.group_id IS NULL OR EXISTS (SELECT 1 FROM json_each(h.group_ids) WHERE value = p.group_id))
+        WHERE p.status = 'visible'
+        GROUP BY p.user_id
+      )
+      SELECT
+        p.user_id as userId,
+        u.nickname,
+        u.color,
+        COUNT(*) as words,
+        COUNT(DISTINCT p.group_id) as phrases,
+        (SELECT MAX(size) FROM phrases WHERE phrases.user_id = p.user_id) as longestPhrase,
+        COALESCE(fed.images, 0) as imagesFed,
+        MIN(p.created_at) as firstActivity,
+        MAX(p.created_at) as lastActivity
+      FROM placed p
+      JOIN users u ON u.id = p.user_id
+      LEFT JOIN fed ON fed.user_id = p.user_id
+      GROUP BY p.user_id
+      ORDER BY words DESC, lastActivity ASC
+      LIMIT ?
+    `).all(since, since, userId, userId, limit);
+  }
 
-function getImageHistory() {
-  return db.prepare('SELECT * FROM image_history ORDER BY created_at DESC LIMIT 20').all();
-}
+  // --- Admin ---
+  // selector is { position }, { userId } or { groupId }
+
+  function wordFilter({ position, userId, groupId }) {
+    if (position !== undefined) return { where: 'position = ?', value: position };
+    if (userId !== undefined) return { where: 'user_id = ?', value: userId };
+    return { where: 'group_id = ?', value: groupId };
+  }
+
+  function findWords(selector) {
+    const { where, value } = wordFilter(selector);
+    return db.prepare(`SELECT * FROM words WHERE ${where} ORDER BY position ASC`).all(value);
+  }
+
+  // Redacted words keep their cell but lose their text everywhere except
+  // here, and stay out of prompts. Retracted words are left as tombstones.
+  // Returns the words that changed.
+  function redactWords(selector) {
+    const { where, value } = wordFilter(selector);
+    return db.transaction(() => {
+      const words = db.prepare(`SELECT * FROM words WHERE ${where} AND status NOT IN ('redacted', 'retracted') ORDER BY position ASC`).all(value);
+      db.prepare(`UPDATE words SET status = 'redacted' WHERE ${where} AND status NOT IN ('redacted', 'retracted')`).run(value);
+      return words;
+    })();
+  }
+
+  // Deleted cells stay empty; later words keep their positions
+  function deleteWords(selector) {
+    const { where, value } = wordFilter(selector);
+    return db.transaction(() => {
+      const words = findWords(selector);
+      db.prepare(`DELETE FROM words WHERE ${where}`).run(value);
+      const uncount = db.prepare('UPDATE users SET words_contributed = words_contributed - 1 WHERE id = ?');
+      // Retracted words were uncounted already
+      words.filter(word => word.status !== 'retracted').forEach(word => uncount.run(word.user_id));
+      return words;
+    })();
+  }
+
+  // reason is a GenerationError code, detail the message plus any provider text
+  function failImageHistory(id, reason, detail) {
+    db.prepare(`
+      UPDATE image_history
+      SET status = 'failed', image_path = NULL, failure_reason = ?, failure_detail = ?
+      WHERE id = ?
+    `).run(reason, detail, id);
+  }
+
+  // Any row still 'generating' when the server boots was cut off by a crash
+  function failStaleImageHistory() {
+    return db.prepare(`
+      UPDATE image_history
+      SET status = 'failed', failure_reason = 'INTERRUPTED', failure_detail = 'Server stopped during generation'
+      WHERE status = 'generating'
+    `).run().changes;
+  }
+
+  // --- Seasons ---
+  // Archiving moves the grid's words and image history under a new season
+  // id and leaves an empty grid behind. Image files stay where they are.
+  // keepWords false discards the words and the final image instead (an
+  // admin reset).
+
+  function archiveSeason(reason, { keepWords = true } = {}) {
+    const txn = db.transaction(() => {
+      const finalImage = keepWords ? getCurrentImage() || null : null;
+      const result = db.prepare(`
+        INSERT INTO seasons (reason, word_count, final_image, grid_width, grid_height, started_at)
+        VALUES (?, ?, ?, ?, ?, ?)
+      `).run(reason, keepWords ? getWordCount() : 0, finalImage, gridWidth, gridHeight, getState('season_started_at'));
+      const seasonId = result.lastInsertRowid;
+
+      if (keepWords) {
+        db.prepare(`
+          INSERT INTO season_words (season_id, position, word, user_id, user_color, group_id, created_at)
+          SELECT ?, position, word, user_id, user_color, group_id, created_at FROM words WHERE status = 'visible'
+        `).run(seasonId);
+      }
+      db.prepare('DELETE FROM words').run();
+      db.prepare('UPDATE image_history SET season_id = ? WHERE season_id IS NULL').run(seasonId);
+
+      db.prepare('UPDATE state SET value = ? WHERE key = ?').run('0', 'next_position');
+      db.prepare('UPDATE state SET value = ? WHERE key = ?').run('', 'current_image');
+      db.prepare("UPDATE state SET value = CURRENT_TIMESTAMP WHERE key = 'season_started_at'").run();
+
+      return getSeason(seasonId);
+    });
+
+    return txn();
+  }
+
+  // The grid in play is always one past the last archived season
+  function getCurrentSeason() {
+    const row = db.prepare('SELECT COUNT(*) as count FROM seasons').get();
+    return { number: row.count + 1, startedAt: getState('season_started_at') };
+  }
+
+  function getSeasons() {
+    return db.prepare('SELECT * FROM seasons ORDER BY id DESC').all();
+  }
+
+  function getSeason(id) {
+    return db.prepare('SELECT * FROM seasons WHERE id = ?').get(id);
+  }
+
+  function getSeasonWords(seasonId) {
+    return db.prepare('SELECT * FROM season_words WHERE season_id = ? ORDER BY position ASC').all(seasonId);
+  }
+
+  function getSeasonHistory(seasonId) {
+    return db.prepare('SELECT * FROM image_history WHERE season_id = ? ORDER BY id ASC').all(seasonId);
+  }
+
+  // --- Generation jobs ---
+  // status: queued -> running -> complete | failed
+
+  // retryOf: image_history id whose prompt snapshot the job should replay
+  function addGenerationJob(requestedBy, retryOf = null) {
+    const result = db.prepare('INSERT INTO generation_jobs (requested_by, retry_of) VALUES (?, ?)')
+      .run(requestedBy || null, retryOf);
+    return getGenerationJob(result.lastInsertRowid);
+  }
+
+  function getGenerationJob(id) {
+    return db.prepare('SELECT * FROM generation_jobs WHERE id = ?').get(id);
+  }
+
+  function getQueuedGenerationJobs() {
+    return db.prepare("SELECT * FROM generation_jobs WHERE status = 'queued' ORDER BY id ASC").all();
+  }
+
+  function getRunningGenerationJobs() {
+    return db.prepare("SELECT * FROM generation_jobs WHERE status = 'running' ORDER BY id ASC").all();
+  }
+
+  function startGenerationJob(id) {
+    db.prepare(`
+      UPDATE generation_jobs
+      SET status = 'running', attempts = attempts + 1, error = NULL, started_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `).run(id);
+  }
+
+  function setGenerationJobHistory(id, historyId) {
+    db.prepare('UPDATE generation_jobs SET history_id = ? WHERE id = ?').run(historyId, id);
+  }
+
+  // runAfter (ms timestamp) holds the job back for retry backoff
+  function requeueGenerationJob(id, runAfter = null, error = null) {
+    db.prepare("UPDATE generation_jobs SET status = 'queued', run_after = ?, error = ? WHERE id = ?")
+      .run(runAfter, error, id);
+  }
+
+  function finishGenerationJob(id, status, error = null) {
+    db.prepare('UPDATE generation_jobs SET status = ?, error = ?, finished_at = CURRENT_TIMESTAMP WHERE id = ?')
+      .run(status, error, id);
+  }
+
+  function getOnlineUserCount() {
+    // This is tracked in-memory by the server, not in DB
+    return 0;
+  }
 
-function getOnlineUserCount() {
-  // This is tracked in-memory by the server, not in DB
-  return 0;
+  return {
+    getGridSize,
+    cellOf,
+    getUser,
+    getUserIds,
+    getOrCreateUser,
+    setNickname,
+    claimNextPosition,
+    claimPosition,
+    claimMultiplePositions,
+    getNextPosition,
+    getAllWords,
+    getPromptWords,
+    getWordCount,
+    getPromptText,
+    getFullPromptText,
+    getCurrentImage,
+    setCurrentImage,
+    addImageHistory,
+    updateImageHistory,
+    getImageHistory,
+    getImageHistoryEntry,
+    setImageHistoryRange,
+    getImageHistoryRange,
+    getWordsInRange,
+    getHeldWords,
+    getWord,
+    approveWord,
+    rejectWord,
+    getRetractableWords,
+    retractWords,
+    getContributorStats,
+    findWords,
+    redactWords,
+    deleteWords,
+    getHistoryIdForImage,
+    getImageLineage,
+    getCompletedImageHistory,
+    getLastGeneratedWordCount,
+    failImageHistory,
+    failStaleImageHistory,
+    archiveSeason,
+    getCurrentSeason,
+    getSeasons,
+    getSeason,
+    getSeasonWords,
+    getSeasonHistory,
+    addGenerationJob,
+    getGenerationJob,
+    getQueuedGenerationJobs,
+    getRunningGenerationJobs,
+    startGenerationJob,
+    setGenerationJobHistory,
+    requeueGenerationJob,
+    finishGenerationJob
+  };
 }
 
 module.exports = {
-  initDatabase,
-  getOrCreateUser,
-  claimNextPosition,
-  claimMultiplePositions,
-  getNextPosition,
-  getAllWords,
-  getWordCount,
-  getPromptText,
-  getFullPromptText,
-  getCurrentImage,
-  setCurrentImage,
-  addImageHistory,
-  updateImageHistory,
-  getImageHistory
+  openDatabase
 };
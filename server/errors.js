@@ -0,0 +1,99 @@
+// Structured errors shared by the REST and Socket.IO entry points. `code` is
+// machine-readable and stable; `message` is meant for people. AppError is
+// the general kind; GenerationError is for the generation pipeline, whose
+// failure codes are also stored in image_history.
+
+const ERROR_STATUS = {
+  QUEUE_FULL: 429,
+  COOLDOWN_ACTIVE: 429,
+  NO_WORDS: 400,
+  JOB_NOT_FOUND: 404,
+  NOT_ALLOWED: 403,
+  SESSION_REQUIRED: 401,
+  CANCELLED: 409,
+  HISTORY_NOT_FOUND: 404,
+  NOT_RETRYABLE: 409,
+  UNKNOWN_STRATEGY: 400,
+  NOT_REWINDABLE: 409,
+  NO_IMAGES: 404,
+  GENERATION_IN_PROGRESS: 409,
+  ROOM_NOT_FOUND: 404,
+  INVALID_ROOM: 400,
+  ROOM_EXISTS: 409,
+  TOO_MANY_ROOMS: 409,
+  SEASON_NOT_FOUND: 404,
+  WORD_REJECTED: 422,
+  WORD_NOT_HELD: 404,
+  INVALID_PAYLOAD: 400,
+  RATE_LIMITED: 429,
+  INVALID_SELECTOR: 400,
+  BANNED: 403,
+  NOT_BANNED: 404,
+  NOTHING_TO_RETRACT: 409,
+  CELL_TAKEN: 409,
+  NICKNAME_REJECTED: 422,
+  INVALID_WINDOW: 400,
+  USER_NOT_FOUND: 404,
+  INVALID_SEARCH: 400,
+  INTERNAL_ERROR: 500,
+
+  // Reasons a generation itself can fail, stored in image_history
+  SAFETY_BLOCKED: 422,
+  QUOTA_EXCEEDED: 503,
+  GENERATION_TIMEOUT: 504,
+  NO_IMAGE: 502,
+  PROVIDER_ERROR: 502,
+  PROVIDER_NOT_CONFIGURED: 503,
+  GENERATION_FAILED: 500
+};
+
+// Failures worth trying again after a pause; a safety block or an empty
+// response will most likely come back the same way
+const TRANSIENT_CODES = new Set(['QUOTA_EXCEEDED', 'GENERATION_TIMEOUT', 'PROVIDER_ERROR']);
+
+class AppError extends Error {
+  constructor(code, message, details = {}) {
+    super(message);
+    this.name = 'AppError';
+    this.code = code;
+    this.details = details;
+  }
+
+  // HTTP status for REST responses
+  get status() {
+    return ERROR_STATUS[this.code] || 500;
+  }
+
+  // Payload for both res.json() and socket.emit()
+  toJSON() {
+    return { code: this.code, error: this.message, ...this.details };
+  }
+
+  // Wrap anything else that was thrown, e.g. by the database
+  static from(error, code = 'INTERNAL_ERROR') {
+    if (error instanceof AppError) return error;
+    return new AppError(code, error.message);
+  }
+}
+
+class GenerationError extends AppError {
+  constructor(code, message, details = {}) {
+    super(code, message, details);
+    this.name = 'GenerationError';
+  }
+
+  get retryable() {
+    return TRANSIENT_CODES.has(this.code);
+  }
+
+  // Anything else that went wrong while generating becomes a failure reason
+  static from(error, code = 'GENERATION_FAILED') {
+    if (error instanceof GenerationError) return error;
+    return new GenerationError(code, error.message);
+  }
+}
+
+module.exports = {
+  AppError,
+  GenerationError
+};
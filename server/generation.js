@@ -0,0 +1,217 @@
+const EventEmitter = require('events');
+const fs = require('fs');
+const imageProvider = require('./providers');
+const { resolveImagePath } = require('./images');
+const { GenerationQueue } = require('./queue');
+const { GenerationError } = require('./errors');
+const prompt = require('./prompt');
+
+// Single path for every generation trigger (REST, sockets, anything later).
+// Requests are checked here, queued, run, and reported as lifecycle events:
+//
+//   'queued'    ({ jobId, requestedBy, position })
+//   'started'   ({ jobId, wordCount })
+//   'complete'  ({ jobId, imagePath, wordCount })
+//   'retrying'  ({ jobId, code, error, retryIn })   transient failure, retried after retryIn ms
+//   'failed'    ({ jobId, code, error })
+//   'cancelled' ({ jobId })
+//   'rewound'   ({ historyId, imagePath })        current image moved back in history
+//   'queue'     ({ running, queued })   queue snapshot after any change
+
+// Minimum gap between accepted generation requests, manual or automatic
+// (0 disables the cooldown)
+const GENERATION_COOLDOWN = (parseInt(process.env.GENERATION_COOLDOWN_SECONDS, 10) || 0) * 1000;
+
+class GenerationService extends EventEmitter {
+  // db: the room's store from openDatabase()
+  constructor(db) {
+    super();
+    this.db = db;
+    this.lastGenerationTime = 0;
+    this.queue = new GenerationQueue(db, (job, signal) => this.runJob(job, signal));
+
+    this.queue.on('update', (snapshot) => this.emit('queue', snapshot));
+
+    this.queue.on('complete', (job, result) => {
+      console.log('Generation complete:', result.imagePath);
+      this.emit('complete', { jobId: job.id, ...result });
+    });
+
+    this.queue.on('retrying', (job, error, delay) => {
+      console.warn(`Generation attempt ${job.attempts} failed (${error.code}), retrying in ${delay}ms`);
+      this.markHistoryFailed(job.id, error);
+      this.emit('retrying', { jobId: job.id, ...error.toJSON(), retryIn: delay });
+    });
+
+    this.queue.on('failed', (job, error) => {
+      const err = GenerationError.from(error);
+      console.error('Generation failed:', err.code, err.message);
+      this.markHistoryFailed(job.id, err);
+      this.emit('failed', { jobId: job.id, ...err.toJSON() });
+    });
+
+    this.queue.on('cancelled', (job) => {
+      console.log('Generation cancelled:', job.id);
+      this.markHistoryFailed(job.id, new GenerationError('CANCELLED', 'Generation cancelled'));
+      this.emit('cancelled', { jobId: job.id });
+    });
+  }
+
+  // Resume work left over from a previous run
+  start() {
+    this.queue.recover();
+  }
+
+  // Throws a GenerationError when the request cannot be accepted
+  requestGeneration({ requestedBy = null } = {}) {
+    if (this.queue.isFull()) {
+      throw new GenerationError('QUEUE_FULL', 'Generation queue is full');
+    }
+
+    const now = Date.now();
+    const cooldownRemaining = GENERATION_COOLDOWN - (now - this.lastGenerationTime);
+    if (cooldownRemaining > 0) {
+      const seconds = Math.ceil(cooldownRemaining / 1000);
+      throw new GenerationError('COOLDOWN_ACTIVE', `Please wait ${seconds}s before generating again`, {
+        cooldownRemaining: seconds
+      });
+    }
+
+    if (this.db.getWordCount() === 0) {
+      throw new GenerationError('NO_WORDS', 'No words to generate from');
+    }
+
+    this.lastGenerationTime = now;
+    const job = this.queue.enqueue(requestedBy);
+    const queued = { jobId: job.id, requestedBy, position: this.queue.positionOf(job.id) };
+
+    this.emit('queued', queued);
+    return queued;
+  }
+
+  // Queue a failed history entry again with the exact prompt it was sent
+  retryGeneration(historyId, { requestedBy = null } = {}) {
+    const entry = this.db.getImageHistoryEntry(historyId);
+    if (!entry) {
+      throw new GenerationError('HISTORY_NOT_FOUND', 'No image history entry with that id');
+    }
+    if (entry.status !== 'failed') {
+      throw new GenerationError('NOT_RETRYABLE', 'Only failed generations can be retried');
+    }
+    if (this.queue.isFull()) {
+      throw new GenerationError('QUEUE_FULL', 'Generation queue is full');
+    }
+
+    const job = this.queue.enqueue(requestedBy, entry.id);
+    const queued = { jobId: job.id, requestedBy, position: this.queue.positionOf(job.id), retryOf: entry.id };
+
+    this.emit('queued', queued);
+    return queued;
+  }
+
+  // Make a past image current again, so the next evolution branches from it
+  rewindTo(historyId) {
+    const entry = this.db.getImageHistoryEntry(historyId);
+    if (!entry) {
+      throw new GenerationError('HISTORY_NOT_FOUND', 'No image history entry with that id');
+    }
+    if (entry.status !== 'complete' || !fs.existsSync(resolveImagePath(entry.image_path))) {
+      throw new GenerationError('NOT_REWINDABLE', 'Only completed images can be rewound to');
+    }
+    if (this.isBusy()) {
+      throw new GenerationError('GENERATION_IN_PROGRESS', 'Wait for the current generation to finish');
+    }
+
+    this.db.setCurrentImage(entry.image_path);
+    console.log(`Rewound current image to history entry ${entry.id}`);
+
+    const rewound = { historyId: entry.id, imagePath: entry.image_path };
+    this.emit('rewound', rewound);
+    return rewound;
+  }
+
+  // Only the user who asked for a job may cancel it, unless force is set
+  // (admins). Jobs nobody asked for (automatic, votes, season finals) can
+  // only be cancelled with force, and so can any job by an anonymous caller.
+  cancelGeneration(jobId, { requestedBy = null, force = false } = {}) {
+    const job = this.db.getGenerationJob(jobId);
+    if (!job || !['queued', 'running'].includes(job.status)) {
+      throw new GenerationError('JOB_NOT_FOUND', 'No pending generation with that id');
+    }
+    if (!force && (!requestedBy || job.requested_by !== requestedBy)) {
+      throw new GenerationError('NOT_ALLOWED', 'You can only cancel your own generation');
+    }
+
+    this.queue.cancel(job.id);
+  }
+
+  snapshot() {
+    return this.queue.snapshot();
+  }
+
+  // True while a job is running or waiting
+  isBusy() {
+    const { running, queued } = this.queue.snapshot();
+    return !!running || queued.length > 0;
+  }
+
+  // Runs one queued generation job end to end. Retries of a history entry
+  // replay its stored prompt instead of reading the current grid.
+  async runJob(job, signal) {
+    const currentImage = this.db.getCurrentImage();
+    let { words: promptWords, prompt: promptText, wordCount, range } = prompt.buildPrompt(this.db, { currentImage });
+
+    if (job.retry_of) {
+      const original = this.db.getImageHistoryEntry(job.retry_of);
+      promptWords = original.prompt_snapshot;
+      promptText = prompt.renderDirective(currentImage ? 'evolve' : 'text', promptWords);
+      wordCount = original.word_count;
+      range = this.db.getImageHistoryRange(original.id);
+    }
+
+    // Track in history (the words; the directive is re-applied on retry)
+    const parentId = currentImage ? this.db.getHistoryIdForImage(currentImage) : null;
+    const historyEntry = this.db.addImageHistory(null, promptWords, wordCount, 'generating', parentId);
+    this.db.setImageHistoryRange(historyEntry.lastInsertRowid, range);
+    this.db.setGenerationJobHistory(job.id, historyEntry.lastInsertRowid);
+
+    this.emit('started', { jobId: job.id, wordCount });
+
+    let imagePath;
+    try {
+      if (currentImage) {
+        imagePath = await imageProvider.evolveImage(currentImage, promptText);
+      } else {
+        imagePath = await imageProvider.generateFromText(promptText);
+      }
+    } catch (error) {
+      throw GenerationError.from(error, 'PROVIDER_ERROR');
+    }
+
+    // Timed out or cancelled while the provider was still working
+    if (signal.aborted) {
+      throw signal.reason;
+    }
+
+    // Update state
+    this.db.setCurrentImage(imagePath);
+    this.db.updateImageHistory(historyEntry.lastInsertRowid, imagePath, 'complete');
+
+    return { imagePath, wordCount };
+  }
+
+  // Store why the job's current history row failed, with the provider's own
+  // text when it gave any
+  markHistoryFailed(jobId, error) {
+    const { history_id: historyId } = this.db.getGenerationJob(jobId);
+    if (!historyId) return;
+
+    const { providerText } = error.details;
+    const detail = providerText ? `${error.message}\n\n${providerText}` : error.message;
+    this.db.failImageHistory(historyId, error.code, detail);
+  }
+}
+
+module.exports = {
+  GenerationService
+};
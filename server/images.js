@@ -0,0 +1,28 @@
+const fs = require('fs');
+const path = require('path');
+
+// Generated images live in server/images and are served at /images/<file>
+const IMAGES_DIR = path.join(__dirname, 'images');
+if (!fs.existsSync(IMAGES_DIR)) {
+  fs.mkdirSync(IMAGES_DIR, { recursive: true });
+}
+
+// Write image bytes to disk and return the public path clients load
+function saveImage(buffer, ext = 'png') {
+  const filename = `${Date.now()}-${Math.random().toString(36).substr(2, 9)}.${ext}`;
+  fs.writeFileSync(path.join(IMAGES_DIR, filename), buffer);
+
+  console.log('Image saved:', filename);
+  return `/images/${filename}`;
+}
+
+// Map a public /images/... path back to its file on disk
+function resolveImagePath(imagePath) {
+  return path.join(__dirname, imagePath);
+}
+
+module.exports = {
+  IMAGES_DIR,
+  saveImage,
+  resolveImagePath
+};
@@ -0,0 +1,133 @@
+const fs = require('fs');
+const { AppError } = require('./errors');
+
+// Moderation of submitted words, run before a word claims a grid cell.
+//
+//   MODERATION_BLOCKLIST       comma-separated words; `word*` blocks a prefix
+//   MODERATION_BLOCKLIST_FILE  the same, one entry per line (# for comments)
+//   MODERATION_DENY_PATTERN    regular expression; matching words are flagged
+//   MODERATION_ALLOW_PATTERN   regular expression; matching words are never flagged
+//   MODERATION_ACTION          'reject' (default) or 'review' for flagged words
+//
+// Blocklist matching ignores case, accents, leetspeak (5h1t), look-alike
+// letters from other scripts (Cyrillic "а" for "a"), separators (s.h.i.t)
+// and drawn-out letters (shiiiit). Words held for review stay hidden from
+// other clients and out of the prompt until an admin approves them.
+
+const ACTION = process.env.MODERATION_ACTION === 'review' ? 'review' : 'reject';
+
+// Cyrillic and Greek letters that render like Latin ones
+const CONFUSABLES = {
+  'а': 'a', 'в': 'b', 'е': 'e', 'ё': 'e', 'к': 'k', 'м': 'm', 'н': 'h', 'о': 'o',
+  'р': 'p', 'с': 'c', 'т': 't', 'у': 'y', 'х': 'x', 'ѕ': 's', 'і': 'i', 'ј': 'j',
+  'α': 'a', 'β': 'b', 'ε': 'e', 'η': 'n', 'ι': 'i', 'κ': 'k', 'ν': 'v', 'ο': 'o',
+  'ρ': 'p', 'τ': 't', 'υ': 'u', 'χ': 'x'
+};
+
+const LEETSPEAK = {
+  '0': 'o', '1': 'i', '3': 'e', '4': 'a', '5': 's', '7': 't', '8': 'b', '9': 'g',
+  '@': 'a', '$': 's', '!': 'i', '|': 'l', '+': 't'
+};
+
+const BLOCKLIST = loadBlocklist();
+const DENY_PATTERN = compilePattern(process.env.MODERATION_DENY_PATTERN, 'MODERATION_DENY_PATTERN');
+const ALLOW_PATTERN = compilePattern(process.env.MODERATION_ALLOW_PATTERN, 'MODERATION_ALLOW_PATTERN');
+
+// Reduce a word to the plain lowercase letters it reads as
+function normalize(word) {
+  return word
+    .normalize('NFKD')
+    .replace(/\p{M}/gu, '')
+    .toLowerCase()
+    .replace(/./gu, ch => CONFUSABLES[ch] || LEETSPEAK[ch] || ch)
+    .replace(/[^\p{L}\p{N}]/gu, '');
+}
+
+// "shiiiit" -> "shit"; runs of two are left alone ("good" is not "god")
+function collapseRepeats(text) {
+  return text.replace(/(.)\1{2,}/gu, '$1');
+}
+
+function loadBlocklist() {
+  const entries = (process.env.MODERATION_BLOCKLIST || '').split(',');
+
+  const file = process.env.MODERATION_BLOCKLIST_FILE;
+  if (file) {
+    try {
+      entries.push(...fs.readFileSync(file, 'utf8').split('\n').filter(line => !line.trim().startsWith('#')));
+    } catch (error) {
+      console.error(`Could not read MODERATION_BLOCKLIST_FILE: ${error.message}`);
+    }
+  }
+
+  return entries
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => ({
+      term: collapseRepeats(normalize(entry.replace(/\*$/, ''))),
+      prefix: entry.endsWith('*')
+    }))
+    .filter(entry => entry.term);
+}
+
+function compilePattern(source, name) {
+  if (!source) return null;
+  try {
+    return new RegExp(source, 'iu');
+  } catch (error) {
+    console.error(`Ignoring invalid ${name}: ${error.message}`);
+    return null;
+  }
+}
+
+function isBlocked(word) {
+  const normalized = normalize(word);
+  const forms = new Set([normalized, collapseRepeats(normalized)]);
+
+  return BLOCKLIST.some(({ term, prefix }) => {
+    for (const form of forms) {
+      if (prefix ? form.startsWith(term) : form === term) return true;
+    }
+    return false;
+  });
+}
+
+// -> { action: 'allow' | 'reject' | 'review', reason, message }
+function moderate(word) {
+  if (ALLOW_PATTERN && ALLOW_PATTERN.test(word)) {
+    return { action: 'allow', reason: null, message: null };
+  }
+
+  if (isBlocked(word)) {
+    return { action: ACTION, reason: 'BLOCKLIST', message: `"${word}" is on the blocklist` };
+  }
+  if (DENY_PATTERN && (DENY_PATTERN.test(word) || DENY_PATTERN.test(normalize(word)))) {
+    return { action: ACTION, reason: 'DENY_PATTERN', message: `"${word}" matches a blocked pattern` };
+  }
+
+  return { action: 'allow', reason: null, message: null };
+}
+
+// Structured event payload for the sender of rejected words
+function rejection(rejected) {
+  const message = rejected.length === 1
+    ? `${rejected[0].message}, so it was not placed`
+    : `${rejected.length} words were not placed: ${rejected.map(r => `"${r.word}"`).join(', ')}`;
+
+  return new AppError('WORD_REJECTED', message, {
+    rejected: rejected.map(({ word, reason, message: detail }) => ({ word, reason, message: detail }))
+  }).toJSON();
+}
+
+// What other clients may see of a word: held and redacted words keep their
+// cell but not their text
+function publicWord(row) {
+  return row.status === 'visible' ? row : { ...row, word: '' };
+}
+
+module.exports = {
+  normalize,
+  moderate,
+  rejection,
+  publicWord
+};
@@ -0,0 +1,214 @@
+const zlib = require('zlib');
+
+// Minimal PNG codec for 8-bit images (no external image deps): encodes RGBA
+// stills and APNG animations, decodes non-interlaced 8-bit PNGs to RGBA
+
+const CRC_TABLE = new Int32Array(256);
+for (let n = 0; n < 256; n++) {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+  }
+  CRC_TABLE[n] = c;
+}
+
+function crc32(buf) {
+  let crc = -1;
+  for (let i = 0; i < buf.length; i++) {
+    crc = CRC_TABLE[(crc ^ buf[i]) & 0xFF] ^ (crc >>> 8);
+  }
+  return (crc ^ -1) >>> 0;
+}
+
+function chunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length, 0);
+  const typeAndData = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(typeAndData), 0);
+  return Buffer.concat([length, typeAndData, crc]);
+}
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]);
+
+function ihdr(width, height) {
+  const data = Buffer.alloc(13);
+  data.writeUInt32BE(width, 0);
+  data.writeUInt32BE(height, 4);
+  data[8] = 8;  // bit depth
+  data[9] = 6;  // color type: RGBA
+  data[10] = 0; // compression
+  data[11] = 0; // filter
+  data[12] = 0; // interlace
+  return data;
+}
+
+// Compress RGBA rows with filter type 0 (none) on every scanline
+function compressPixels(width, height, rgba) {
+  const stride = width * 4;
+  const raw = Buffer.alloc((stride + 1) * height);
+  for (let y = 0; y < height; y++) {
+    raw[y * (stride + 1)] = 0;
+    rgba.copy(raw, y * (stride + 1) + 1, y * stride, (y + 1) * stride);
+  }
+  return zlib.deflateSync(raw);
+}
+
+function encodePng(width, height, rgba) {
+  return Buffer.concat([
+    PNG_SIGNATURE,
+    chunk('IHDR', ihdr(width, height)),
+    chunk('IDAT', compressPixels(width, height, rgba)),
+    chunk('IEND', Buffer.alloc(0))
+  ]);
+}
+
+// Animated PNG from same-sized frames. Frames are passed pre-compressed
+// (see compressPixels) so callers never hold every raw frame at once.
+function encodeApng(width, height, compressedFrames, frameMs) {
+  const chunks = [PNG_SIGNATURE, chunk('IHDR', ihdr(width, height))];
+
+  const actl = Buffer.alloc(8);
+  actl.writeUInt32BE(compressedFrames.length, 0);
+  actl.writeUInt32BE(0, 4); // loop forever
+  chunks.push(chunk('acTL', actl));
+
+  let sequence = 0;
+  compressedFrames.forEach((data, index) => {
+    const fctl = Buffer.alloc(26);
+    fctl.writeUInt32BE(sequence++, 0);
+    fctl.writeUInt32BE(width, 4);
+    fctl.writeUInt32BE(height, 8);
+    fctl.writeUInt32BE(0, 12); // x offset
+    fctl.writeUInt32BE(0, 16); // y offset
+    fctl.writeUInt16BE(Math.min(65535, frameMs), 20); // delay numerator
+    fctl.writeUInt16BE(1000, 22); // delay denominator (ms)
+    fctl[24] = 0; // dispose: none
+    fctl[25] = 0; // blend: source
+    chunks.push(chunk('fcTL', fctl));
+
+    if (index === 0) {
+      chunks.push(chunk('IDAT', data));
+    } else {
+      const seq = Buffer.alloc(4);
+      seq.writeUInt32BE(sequence++, 0);
+      chunks.push(chunk('fdAT', Buffer.concat([seq, data])));
+    }
+  });
+
+  chunks.push(chunk('IEND', Buffer.alloc(0)));
+  return Buffer.concat(chunks);
+}
+
+function isPng(buffer) {
+  return buffer.length > 8 && buffer.subarray(0, 8).equals(PNG_SIGNATURE);
+}
+
+const CHANNELS = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };
+
+// Decode to { width, height, data } with RGBA pixels. Supports every color
+// type at bit depth 8 without interlacing, which covers what image models
+// and our own encoder produce.
+function decodePng(buffer) {
+  if (!isPng(buffer)) {
+    throw new Error('Not a PNG file');
+  }
+
+  let width, height, colorType, palette, transparency;
+  const idat = [];
+
+  for (let offset = 8; offset < buffer.length;) {
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.toString('ascii', offset + 4, offset + 8);
+    const data = buffer.subarray(offset + 8, offset + 8 + length);
+    offset += length + 12;
+
+    if (type === 'IHDR') {
+      width = data.readUInt32BE(0);
+      height = data.readUInt32BE(4);
+      colorType = data[9];
+      if (data[8] !== 8 || data[12] !== 0 || !CHANNELS[colorType]) {
+        throw new Error('Unsupported PNG format');
+      }
+    } else if (type === 'PLTE') {
+      palette = data;
+    } else if (type === 'tRNS') {
+      transparency = data;
+    } else if (type === 'IDAT') {
+      idat.push(data);
+    } else if (type === 'IEND') {
+      break;
+    }
+  }
+
+  const bpp = CHANNELS[colorType];
+  const stride = width * bpp;
+  const raw = zlib.inflateSync(Buffer.concat(idat));
+  const pixels = Buffer.alloc(stride * height);
+
+  for (let y = 0; y < height; y++) {
+    const filter = raw[y * (stride + 1)];
+    const line = raw.subarray(y * (stride + 1) + 1, (y + 1) * (stride + 1));
+    const out = y * stride;
+    const prev = out - stride;
+
+    for (let x = 0; x < stride; x++) {
+      const a = x >= bpp ? pixels[out + x - bpp] : 0;
+      const b = y > 0 ? pixels[prev + x] : 0;
+      const c = x >= bpp && y > 0 ? pixels[prev + x - bpp] : 0;
+      let value = line[x];
+
+      if (filter === 1) value += a;
+      else if (filter === 2) value += b;
+      else if (filter === 3) value += (a + b) >> 1;
+      else if (filter === 4) value += paeth(a, b, c);
+
+      pixels[out + x] = value;
+    }
+  }
+
+  return { width, height, data: toRgba(pixels, width * height, colorType, palette, transparency) };
+}
+
+function paeth(a, b, c) {
+  const p = a + b - c;
+  const pa = Math.abs(p - a);
+  const pb = Math.abs(p - b);
+  const pc = Math.abs(p - c);
+  if (pa <= pb && pa <= pc) return a;
+  return pb <= pc ? b : c;
+}
+
+function toRgba(pixels, count, colorType, palette, transparency) {
+  if (colorType === 6) return pixels;
+
+  const rgba = Buffer.alloc(count * 4);
+  for (let i = 0; i < count; i++) {
+    let r, g, b, a = 255;
+    if (colorType === 2) {
+      r = pixels[i * 3]; g = pixels[i * 3 + 1]; b = pixels[i * 3 + 2];
+    } else if (colorType === 3) {
+      const index = pixels[i];
+      r = palette[index * 3]; g = palette[index * 3 + 1]; b = palette[index * 3 + 2];
+      if (transparency && index < transparency.length) a = transparency[index];
+    } else if (colorType === 4) {
+      r = g = b = pixels[i * 2];
+      a = pixels[i * 2 + 1];
+    } else {
+      r = g = b = pixels[i];
+    }
+    rgba[i * 4] = r;
+    rgba[i * 4 + 1] = g;
+    rgba[i * 4 + 2] = b;
+    rgba[i * 4 + 3] = a;
+  }
+  return rgba;
+}
+
+module.exports = {
+  encodePng,
+  encodeApng,
+  compressPixels,
+  decodePng,
+  isPng
+};
@@ -0,0 +1,137 @@
+// Builds the prompt for the next generation. A strategy turns the grid into
+// prompt words; a directive template wraps them for text-to-image or
+// image-to-image ("evolve") mode. `{words}` in a template is replaced by the
+// words.
+//
+// PROMPT_ORDER sets the order words reach the strategy in: 'grid' reads the
+// grid row by row, 'time' follows the order words were placed in. They only
+// differ once people place words by clicking a cell.
+
+const DEFAULT_STRATEGY = process.env.PROMPT_STRATEGY || 'recent';
+const MAX_WORDS = parseInt(process.env.PROMPT_MAX_WORDS, 10) || 3000;
+const ORDER = process.env.PROMPT_ORDER || 'grid';
+
+const TEMPLATES = {
+  text: process.env.PROMPT_TEXT_TEMPLATE ||
+    'Create a single cohesive artistic image inspired by these words: {words}',
+  evolve: process.env.PROMPT_EVOLVE_TEMPLATE ||
+    'Evolve and enhance this image by incorporating these additional concepts and words into the scene. ' +
+    'Keep the existing composition but let it grow and change with these new ideas: {words}'
+};
+
+// Each strategy receives every word row in prompt order and returns the rows
+// it uses, as a list of phrases (arrays of rows). Phrases are joined into
+// sentences; most strategies use a single phrase.
+const STRATEGIES = {
+  // The last MAX_WORDS words, in order
+  recent: (rows) => [rows.slice(-MAX_WORDS)],
+
+  // One phrase per group_id, in order of each group's first word
+  grouped: (rows) => {
+    const groups = new Map();
+    for (const row of rows) {
+      const key = row.group_id || `position-${row.position}`;
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(row);
+    }
+    return capPhrases(Array.from(groups.values()));
+  },
+
+  // Newest quarter of the grid word for word, then every 2nd, 4th and 8th
+  // word as they get older
+  weighted: (rows) => {
+    const total = rows.length;
+    const picked = rows.filter((row, i) => {
+      const age = total - 1 - i;
+      const step = 2 ** Math.min(3, Math.floor((age / total) * 4));
+      return age % step === 0;
+    });
+    return [picked.slice(-MAX_WORDS)];
+  },
+
+  // Each word once (case-insensitive), at its first occurrence
+  deduplicated: (rows) => {
+    const seen = new Set();
+    const unique = rows.filter(row => {
+      const key = row.word.toLowerCase();
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+    return [unique.slice(-MAX_WORDS)];
+  }
+};
+
+if (!Object.prototype.hasOwnProperty.call(STRATEGIES, DEFAULT_STRATEGY)) {
+  throw new Error(`Unknown PROMPT_STRATEGY "${DEFAULT_STRATEGY}" (expected one of: ${Object.keys(STRATEGIES).join(', ')})`);
+}
+
+if (!['grid', 'time'].includes(ORDER)) {
+  throw new Error(`Unknown PROMPT_ORDER "${ORDER}" (expected grid or time)`);
+}
+
+// Drop whole phrases from the front until at most MAX_WORDS words remain
+function capPhrases(phrases) {
+  let count = 0;
+  const kept = [];
+  for (let i = phrases.length - 1; i >= 0; i--) {
+    count += phrases[i].length;
+    if (count > MAX_WORDS && kept.length > 0) break;
+    kept.unshift(phrases[i]);
+  }
+  return kept;
+}
+
+function isStrategy(name) {
+  return Object.prototype.hasOwnProperty.call(STRATEGIES, name);
+}
+
+function renderDirective(mode, words) {
+  return TEMPLATES[mode].split('{words}').join(words);
+}
+
+// What the next generation would send: mode is 'evolve' when there is a
+// current image to build on, 'text' otherwise. The word range records
+// which grid cells fed the prompt.
+function buildPrompt(db, { strategy = DEFAULT_STRATEGY, currentImage = db.getCurrentImage() } = {}) {
+  const rows = db.getPromptWords(ORDER);
+  const phrases = STRATEGIES[strategy](rows).filter(phrase => phrase.length > 0);
+  const words = phrases.map(phrase => phrase.map(row => row.word).join(' ')).join('. ');
+  const mode = currentImage ? 'evolve' : 'text';
+
+  return {
+    strategy,
+    order: ORDER,
+    mode,
+    wordCount: rows.length,
+    words,
+    prompt: renderDirective(mode, words),
+    range: wordRange(phrases.flat())
+  };
+}
+
+// First and last grid position used, the newest word used, plus every group
+// that contributed
+function wordRange(usedRows) {
+  if (usedRows.length === 0) {
+    return { firstPosition: null, lastPosition: null, lastSequence: null, groupIds: [] };
+  }
+
+  const positions = usedRows.map(row => row.position);
+  const groupIds = new Set(usedRows.map(row => row.group_id).filter(Boolean));
+
+  return {
+    firstPosition: Math.min(...positions),
+    lastPosition: Math.max(...positions),
+    lastSequence: Math.max(...usedRows.map(row => row.sequence)),
+    groupIds: Array.from(groupIds)
+  };
+}
+
+module.exports = {
+  DEFAULT_STRATEGY,
+  STRATEGY_NAMES: Object.keys(STRATEGIES),
+  isStrategy,
+  renderDirective,
+  buildPrompt
+};
@@ -0,0 +1,150 @@
+const { GoogleGenAI } = require('@google/genai');
+const fs = require('fs');
+const { saveImage, resolveImagePath } = require('../images');
+const { GenerationError } = require('../errors');
+
+const API_KEY = process.env.GEMINI_API_KEY || 'YOUR_API_KEY_HERE';
+const MODEL = process.env.GEMINI_MODEL || 'gemini-2.5-flash-image';
+
+let ai;
+
+// finishReason / blockReason values that mean the request was refused
+const SAFETY_REASONS = new Set([
+  'SAFETY', 'IMAGE_SAFETY', 'PROHIBITED_CONTENT', 'IMAGE_PROHIBITED_CONTENT', 'BLOCKLIST', 'SPII'
+]);
+
+function initialize() {
+  if (!API_KEY || API_KEY === 'YOUR_API_KEY_HERE') {
+    console.warn('Gemini API key not set. Image generation will not work.');
+    return false;
+  }
+
+  try {
+    ai = new GoogleGenAI({ apiKey: API_KEY });
+    console.log('Gemini API initialized');
+    return true;
+  } catch (error) {
+    console.error('Failed to initialize Gemini:', error.message);
+    return false;
+  }
+}
+
+// Text-to-image: first generation with no existing image
+async function generateFromText(promptText) {
+  if (!ai) {
+    throw notConfigured();
+  }
+
+  console.log(`Generating image from text prompt (${promptText.length} chars)`);
+
+  const response = await callModel({
+    model: MODEL,
+    contents: promptText,
+    config: {
+      responseModalities: ['IMAGE', 'TEXT'],
+      imageConfig: {
+        aspectRatio: '1:1'
+      }
+    }
+  });
+
+  return saveImageFromResponse(response);
+}
+
+// Image-to-image: evolve existing image with new words
+async function evolveImage(existingImagePath, promptText) {
+  if (!ai) {
+    throw notConfigured();
+  }
+
+  const fullPath = resolveImagePath(existingImagePath);
+  if (!fs.existsSync(fullPath)) {
+    console.log('Previous image not found, falling back to text-only generation');
+    return generateFromText(promptText);
+  }
+
+  console.log(`Evolving image with new words (${promptText.length} chars)`);
+
+  const imageBuffer = fs.readFileSync(fullPath);
+  const base64Image = imageBuffer.toString('base64');
+
+  const response = await callModel({
+    model: MODEL,
+    contents: [
+      {
+        role: 'user',
+        parts: [
+          {
+            inlineData: {
+              mimeType: 'image/png',
+              data: base64Image
+            }
+          },
+          {
+            text: promptText
+          }
+        ]
+      }
+    ],
+    config: {
+      responseModalities: ['IMAGE', 'TEXT'],
+      imageConfig: {
+        aspectRatio: '1:1'
+      }
+    }
+  });
+
+  return saveImageFromResponse(response);
+}
+
+// Without a working API key every attempt fails the same way, so this is
+// not worth retrying
+function notConfigured(providerText) {
+  return new GenerationError('PROVIDER_NOT_CONFIGURED', 'Gemini API key missing or invalid', { providerText });
+}
+
+// Translate API errors into failure reasons the queue understands
+async function callModel(request) {
+  try {
+    return await ai.models.generateContent(request);
+  } catch (error) {
+    if (error.status === 401 || error.status === 403 || /API_KEY_INVALID|API key not valid/i.test(error.message)) {
+      throw notConfigured(error.message);
+    }
+    if (error.status === 429 || /RESOURCE_EXHAUSTED|quota/i.test(error.message)) {
+      throw new GenerationError('QUOTA_EXCEEDED', 'Gemini quota exceeded', { providerText: error.message });
+    }
+    throw new GenerationError('PROVIDER_ERROR', `Gemini request failed: ${error.message}`);
+  }
+}
+
+function saveImageFromResponse(response) {
+  const candidate = response.candidates && response.candidates[0];
+  const parts = (candidate && candidate.content && candidate.content.parts) || [];
+
+  for (const part of parts) {
+    if (part.inlineData) {
+      return saveImage(Buffer.from(part.inlineData.data, 'base64'));
+    }
+  }
+
+  // No image: keep whatever the model said instead, it usually explains why
+  const providerText = parts.filter(part => part.text).map(part => part.text).join('\n') || undefined;
+  const blockReason = response.promptFeedback && response.promptFeedback.blockReason;
+  const finishReason = candidate && candidate.finishReason;
+
+  if (blockReason || SAFETY_REASONS.has(finishReason)) {
+    throw new GenerationError('SAFETY_BLOCKED', `Image blocked by Gemini (${blockReason || finishReason})`, {
+      providerText
+    });
+  }
+
+  throw new GenerationError('NO_IMAGE', 'No image data in response', { providerText });
+}
+
+module.exports = {
+  name: 'gemini',
+  initialize,
+  generateFromText,
+  evolveImage
+};
@@ -0,0 +1,53 @@
+// Image generation providers. Each one implements the same interface:
+//   initialize()                                  -> boolean (ready or not)
+//   generateFromText(promptText)                  -> Promise<imagePath>
+//   evolveImage(existingImagePath, promptText)    -> Promise<imagePath>
+// where promptText is the final prompt built by prompt.js (directive
+// included) and imagePath is the public /images/... path of the saved file.
+
+const PROVIDERS = {
+  gemini: () => require('./gemini'),
+  local: () => require('./local')
+};
+
+let provider;
+
+// IMAGE_PROVIDER picks the provider; without it we use Gemini when a key is
+// configured and fall back to the offline local renderer otherwise
+function initializeProvider(name = process.env.IMAGE_PROVIDER) {
+  if (!name) {
+    name = process.env.GEMINI_API_KEY ? 'gemini' : 'local';
+  }
+
+  const load = PROVIDERS[name];
+  if (!load) {
+    throw new Error(`Unknown image provider "${name}" (expected one of: ${Object.keys(PROVIDERS).join(', ')})`);
+  }
+
+  provider = load();
+  provider.initialize();
+  console.log(`Image provider: ${provider.name}`);
+  return provider;
+}
+
+function getProvider() {
+  if (!provider) {
+    throw new Error('Image provider not initialized');
+  }
+  return provider;
+}
+
+function generateFromText(promptText) {
+  return getProvider().generateFromText(promptText);
+}
+
+function evolveImage(existingImagePath, promptText) {
+  return getProvider().evolveImage(existingImagePath, promptText);
+}
+
+module.exports = {
+  initializeProvider,
+  getProvider,
+  generateFromText,
+  evolveImage
+};
@@ -0,0 +1,132 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const { encodePng } = require('../png');
+const { saveImage, resolveImagePath } = require('../images');
+
+// Offline provider: renders an abstract PNG purely from the prompt text, so
+// the same prompt always yields the same picture. Needs no network or key.
+
+const SIZE = parseInt(process.env.LOCAL_IMAGE_SIZE, 10) || 512;
+const MAX_SHAPES = 64;
+
+function initialize() {
+  console.log(`Local image provider initialized (${SIZE}x${SIZE})`);
+  return true;
+}
+
+function hashOf(...inputs) {
+  const hash = crypto.createHash('sha256');
+  inputs.forEach(input => hash.update(input));
+  return hash.digest();
+}
+
+// Small seeded PRNG (mulberry32) so layouts are reproducible
+function seededRandom(seedBuffer) {
+  let a = seedBuffer.readUInt32LE(0);
+  return () => {
+    a = (a + 0x6D2B79F5) | 0;
+    let t = Math.imul(a ^ (a >>> 15), 1 | a);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function hslToRgb(h, s, l) {
+  const a = s * Math.min(l, 1 - l);
+  const f = (n) => {
+    const k = (n + h / 30) % 12;
+    return Math.round(255 * (l - a * Math.max(-1, Math.min(k - 3, 9 - k, 1))));
+  };
+  return [f(0), f(8), f(4)];
+}
+
+function fillGradient(pixels, top, bottom) {
+  for (let y = 0; y < SIZE; y++) {
+    const t = y / (SIZE - 1);
+    const r = top[0] + (bottom[0] - top[0]) * t;
+    const g = top[1] + (bottom[1] - top[1]) * t;
+    const b = top[2] + (bottom[2] - top[2]) * t;
+    for (let x = 0; x < SIZE; x++) {
+      const i = (y * SIZE + x) * 4;
+      pixels[i] = r;
+      pixels[i + 1] = g;
+      pixels[i + 2] = b;
+      pixels[i + 3] = 255;
+    }
+  }
+}
+
+// Soft-edged disc, alpha-blended over whatever is already drawn
+function drawBlob(pixels, cx, cy, radius, color, opacity) {
+  const x0 = Math.max(0, Math.floor(cx - radius));
+  const x1 = Math.min(SIZE - 1, Math.ceil(cx + radius));
+  const y0 = Math.max(0, Math.floor(cy - radius));
+  const y1 = Math.min(SIZE - 1, Math.ceil(cy + radius));
+
+  for (let y = y0; y <= y1; y++) {
+    for (let x = x0; x <= x1; x++) {
+      const d = Math.hypot(x - cx, y - cy) / radius;
+      if (d >= 1) continue;
+      const alpha = opacity * (1 - d * d);
+      const i = (y * SIZE + x) * 4;
+      pixels[i] += (color[0] - pixels[i]) * alpha;
+      pixels[i + 1] += (color[1] - pixels[i + 1]) * alpha;
+      pixels[i + 2] += (color[2] - pixels[i + 2]) * alpha;
+    }
+  }
+}
+
+// Background comes from `seed`; each distinct word adds one blob whose hue
+// and placement depend only on the word itself
+function render(seed, promptText) {
+  const random = seededRandom(seed);
+  const pixels = Buffer.alloc(SIZE * SIZE * 4);
+
+  const baseHue = random() * 360;
+  fillGradient(
+    pixels,
+    hslToRgb(baseHue, 0.45, 0.82),
+    hslToRgb((baseHue + 40 + random() * 80) % 360, 0.5, 0.35)
+  );
+
+  const words = Array.from(new Set(promptText.toLowerCase().split(/\s+/).filter(Boolean)));
+  words.slice(-MAX_SHAPES).forEach(word => {
+    const wordRandom = seededRandom(hashOf(word));
+    const color = hslToRgb(wordRandom() * 360, 0.55 + wordRandom() * 0.3, 0.45 + wordRandom() * 0.25);
+    drawBlob(
+      pixels,
+      wordRandom() * SIZE,
+      wordRandom() * SIZE,
+      SIZE * (0.05 + wordRandom() * 0.15),
+      color,
+      0.55 + wordRandom() * 0.35
+    );
+  });
+
+  return saveImage(encodePng(SIZE, SIZE, pixels));
+}
+
+async function generateFromText(promptText) {
+  console.log(`Rendering local image from text prompt (${promptText.length} chars)`);
+  return render(hashOf(promptText), promptText);
+}
+
+// The previous image's bytes seed the background, so an evolution stays
+// reproducible for a given (image, prompt) pair
+async function evolveImage(existingImagePath, promptText) {
+  const fullPath = resolveImagePath(existingImagePath);
+  if (!fs.existsSync(fullPath)) {
+    console.log('Previous image not found, falling back to text-only generation');
+    return generateFromText(promptText);
+  }
+
+  console.log(`Rendering local evolution (${promptText.length} chars)`);
+  return render(hashOf(fs.readFileSync(fullPath), promptText), promptText);
+}
+
+module.exports = {
+  name: 'local',
+  initialize,
+  generateFromText,
+  evolveImage
+};
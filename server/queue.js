@@ -0,0 +1,178 @@
+const EventEmitter = require('events');
+const { GenerationError } = require('./errors');
+
+// Persistent generation queue: jobs live in the generation_jobs table and a
+// single worker runs them one at a time, so a restart never loses a request.
+// Transient failures are re-queued with exponential backoff until the job
+// runs out of attempts.
+//
+// Events:
+//   'update'   ({ running, queued })  whenever the queue changes
+//   'started'  (job)
+//   'complete' (job, result)
+//   'retrying' (job, error, delayMs)
+//   'failed'   (job, error)
+//   'cancelled'(job)
+
+const JOB_TIMEOUT = parseInt(process.env.GENERATION_TIMEOUT_MS, 10) || 120000;
+const MAX_ATTEMPTS = parseInt(process.env.GENERATION_MAX_ATTEMPTS, 10) || 3;
+const MAX_QUEUED = parseInt(process.env.GENERATION_MAX_QUEUED, 10) || 10;
+const RETRY_BASE_DELAY = parseInt(process.env.GENERATION_RETRY_BASE_MS, 10) || 5000;
+const RETRY_MAX_DELAY = 5 * 60 * 1000;
+
+class GenerationQueue extends EventEmitter {
+  // processJob(job, signal) does the work; `signal` aborts on timeout or
+  // cancellation so a late result can be discarded instead of overwriting
+  // newer state
+  constructor(db, processJob) {
+    super();
+    this.db = db;
+    this.processJob = processJob;
+    this.running = null;
+    this.controller = null;
+    this.wakeTimer = null;
+  }
+
+  // Boot-time recovery: jobs that were running when the process died are
+  // re-queued while they have attempts left, otherwise marked failed
+  recover() {
+    const stale = this.db.failStaleImageHistory();
+    if (stale > 0) {
+      console.log(`Marked ${stale} interrupted image(s) as failed`);
+    }
+
+    for (const job of this.db.getRunningGenerationJobs()) {
+      if (job.attempts < MAX_ATTEMPTS) {
+        this.db.requeueGenerationJob(job.id);
+        console.log(`Resuming interrupted generation job ${job.id}`);
+      } else {
+        this.db.finishGenerationJob(job.id, 'failed', 'Interrupted by server restart');
+        console.log(`Generation job ${job.id} failed: interrupted too many times`);
+      }
+    }
+
+    this.drain();
+  }
+
+  isFull() {
+    return this.db.getQueuedGenerationJobs().length >= MAX_QUEUED;
+  }
+
+  enqueue(requestedBy, retryOf = null) {
+    const job = this.db.addGenerationJob(requestedBy, retryOf);
+    this.emitUpdate();
+    this.drain();
+    return job;
+  }
+
+  // Queued jobs are dropped right away; a running job is aborted and its
+  // provider result ignored when it eventually arrives
+  cancel(jobId) {
+    if (this.running && this.running.id === jobId) {
+      this.controller.abort(new GenerationError('CANCELLED', 'Generation cancelled'));
+      return true;
+    }
+
+    const job = this.db.getGenerationJob(jobId);
+    if (!job || job.status !== 'queued') return false;
+
+    this.db.finishGenerationJob(jobId, 'cancelled');
+    this.emit('cancelled', job);
+    this.emitUpdate();
+    return true;
+  }
+
+  // 0 = running now, 1 = next up, ...; -1 if the job is not pending
+  positionOf(jobId) {
+    if (this.running && this.running.id === jobId) return 0;
+    const index = this.db.getQueuedGenerationJobs().findIndex(job => job.id === jobId);
+    return index === -1 ? -1 : index + 1;
+  }
+
+  snapshot() {
+    return {
+      running: this.running ? { id: this.running.id, requestedBy: this.running.requested_by } : null,
+      queued: this.db.getQueuedGenerationJobs().map(job => ({
+        id: job.id,
+        requestedBy: job.requested_by,
+        retryAt: job.run_after
+      }))
+    };
+  }
+
+  emitUpdate() {
+    this.emit('update', this.snapshot());
+  }
+
+  // Oldest job whose backoff has elapsed; if every queued job is still
+  // waiting, wake up when the first one becomes due
+  nextReadyJob() {
+    const now = Date.now();
+    const queued = this.db.getQueuedGenerationJobs();
+    const ready = queued.find(job => !job.run_after || job.run_after <= now);
+    if (ready || queued.length === 0) return ready;
+
+    const wakeAt = Math.min(...queued.map(job => job.run_after));
+    clearTimeout(this.wakeTimer);
+    this.wakeTimer = setTimeout(() => this.drain(), wakeAt - now);
+    return null;
+  }
+
+  async drain() {
+    if (this.running) return;
+
+    const job = this.nextReadyJob();
+    if (!job) return;
+
+    this.db.startGenerationJob(job.id);
+    this.running = this.db.getGenerationJob(job.id);
+    this.emitUpdate();
+    this.emit('started', this.running);
+
+    try {
+      const result = await this.runWithTimeout(this.running);
+      this.db.finishGenerationJob(job.id, 'complete');
+      this.emit('complete', this.running, result);
+    } catch (error) {
+      if (error.code === 'CANCELLED') {
+        this.db.finishGenerationJob(job.id, 'cancelled');
+        this.emit('cancelled', this.running);
+      } else if (error.retryable && this.running.attempts < MAX_ATTEMPTS) {
+        const delay = Math.min(RETRY_MAX_DELAY, RETRY_BASE_DELAY * 2 ** (this.running.attempts - 1));
+        this.db.requeueGenerationJob(job.id, Date.now() + delay, error.message);
+        this.emit('retrying', this.running, error, delay);
+      } else {
+        this.db.finishGenerationJob(job.id, 'failed', error.message);
+        this.emit('failed', this.running, error);
+      }
+    } finally {
+      this.running = null;
+      this.controller = null;
+      this.emitUpdate();
+      setImmediate(() => this.drain());
+    }
+  }
+
+  runWithTimeout(job) {
+    const controller = new AbortController();
+    this.controller = controller;
+
+    const timer = setTimeout(() => {
+      controller.abort(new GenerationError(
+        'GENERATION_TIMEOUT',
+        `Generation timed out after ${Math.round(JOB_TIMEOUT / 1000)}s`
+      ));
+    }, JOB_TIMEOUT);
+
+    const aborted = new Promise((resolve, reject) => {
+      controller.signal.addEventListener('abort', () => reject(controller.signal.reason));
+    });
+
+    return Promise.race([this.processJob(job, controller.signal), aborted])
+      .finally(() => clearTimeout(timer));
+  }
+}
+
+module.exports = {
+  GenerationQueue
+};
@@ -0,0 +1,160 @@
+const { AppError } = require('./errors');
+
+// Token-bucket rate limiting for socket events and REST calls. Each action
+// has its own limit, written "count/seconds": a client can do `count` of it
+// in a burst, and earns the allowance back evenly over `seconds`. A client
+// is limited per connection, per user id and per IP address; IP buckets
+// are RATE_LIMIT_IP_MULTIPLIER times larger since people may share one.
+//
+//   RATE_LIMIT_WORDS     single words placed or retractions (default 20/10)
+//   RATE_LIMIT_PASTES    multi-word pastes (default 3/30)
+//   RATE_LIMIT_CURSOR    cursor updates (default 20/1)
+//   RATE_LIMIT_GENERATE  generation requests, retries and cancels (default 5/60)
+//   RATE_LIMIT_VOTES     votes cast or withdrawn (default 10/60)
+//   RATE_LIMIT_NICKNAME  nickname changes (default 5/60)
+//   RATE_LIMIT_SEARCH    word searches over REST (default 30/60)
+//   RATE_LIMIT_TIMELAPSE timelapse exports (default 3/60)
+//
+// Set a limit to 0 to turn it off.
+
+const IP_MULTIPLIER = parseInt(process.env.RATE_LIMIT_IP_MULTIPLIER, 10) || 5;
+
+const LIMITS = {
+  word: limitFromEnv('RATE_LIMIT_WORDS', '20/10'),
+  paste: limitFromEnv('RATE_LIMIT_PASTES', '3/30'),
+  cursor: limitFromEnv('RATE_LIMIT_CURSOR', '20/1'),
+  generate: limitFromEnv('RATE_LIMIT_GENERATE', '5/60'),
+  vote: limitFromEnv('RATE_LIMIT_VOTES', '10/60'),
+  nickname: limitFromEnv('RATE_LIMIT_NICKNAME', '5/60'),
+  search: limitFromEnv('RATE_LIMIT_SEARCH', '30/60'),
+  timelapse: limitFromEnv('RATE_LIMIT_TIMELAPSE', '3/60')
+};
+
+// Socket events and the limit each one draws from
+const EVENT_ACTIONS = {
+  'submit-word': 'word',
+  'retract-words': 'word',
+  'submit-words': 'paste',
+  'cursor-move': 'cursor',
+  'request-generate': 'generate',
+  'retry-generation': 'generate',
+  'cancel-generation': 'generate',
+  'withdraw-generate-vote': 'vote',
+  'vote-rewind': 'vote',
+  'set-nickname': 'nickname'
+};
+
+// How often buckets that have refilled completely are forgotten
+const SWEEP_INTERVAL = 60000;
+
+function limitFromEnv(name, fallback) {
+  const value = process.env[name];
+  if (!value) return parseLimit(fallback);
+
+  const limit = parseLimit(value);
+  if (limit === undefined) {
+    console.error(`Ignoring invalid ${name} "${value}" (expected count/seconds)`);
+    return parseLimit(fallback);
+  }
+  return limit;
+}
+
+// "count/seconds" -> { count, perMs }; null when off, undefined when invalid
+function parseLimit(value) {
+  if (value.trim() === '0') return null;
+
+  const match = /^(\d+)\s*\/\s*(\d+(?:\.\d+)?)$/.exec(value.trim());
+  if (!match) return undefined;
+
+  const count = parseInt(match[1], 10);
+  const seconds = parseFloat(match[2]);
+  if (count === 0 || seconds === 0) return null;
+  return { count, perMs: count / (seconds * 1000) };
+}
+
+class RateLimiter {
+  constructor() {
+    this.buckets = new Map(); // "action:kind:id" -> { tokens, updatedAt, capacity, perMs }
+    this.sweepTimer = setInterval(() => this.sweep(), SWEEP_INTERVAL);
+    this.sweepTimer.unref();
+  }
+
+  // keys: { socket, user, ip }, any of which may be missing. Throws
+  // RATE_LIMITED without using up anything when any bucket is empty.
+  consume(action, keys) {
+    const limit = LIMITS[action];
+    if (!limit) return;
+
+    const now = Date.now();
+    const buckets = Object.entries(keys)
+      .filter(([, id]) => id)
+      .map(([kind, id]) => {
+        const capacity = kind === 'ip' ? limit.count * IP_MULTIPLIER : limit.count;
+        return this.bucket(`${action}:${kind}:${id}`, capacity, limit.perMs, now);
+      });
+
+    const empty = buckets.filter(bucket => bucket.tokens < 1);
+    if (empty.length > 0) {
+      const waitMs = Math.max(...empty.map(bucket => (1 - bucket.tokens) / bucket.perMs));
+      const retryAfter = Math.ceil(waitMs / 1000);
+      throw new AppError('RATE_LIMITED', `Slow down: try again in ${retryAfter}s`, {
+        action,
+        retryAfter,
+        retryAt: now + Math.ceil(waitMs)
+      });
+    }
+
+    buckets.forEach(bucket => { bucket.tokens -= 1; });
+  }
+
+  // Socket events with no limit of their own pass straight through
+  consumeEvent(event, keys) {
+    if (EVENT_ACTIONS[event]) {
+      this.consume(EVENT_ACTIONS[event], keys);
+    }
+  }
+
+  // Express middleware, keyed by IP address and the session's user id
+  // (req.userId, set from the session token; never anything the caller
+  // sends in the body)
+  middleware(action) {
+    return (req, res, next) => {
+      try {
+        this.consume(action, { user: req.userId, ip: req.ip });
+        next();
+      } catch (error) {
+        const err = AppError.from(error);
+        if (err.details.retryAfter) {
+          res.set('Retry-After', String(err.details.retryAfter));
+        }
+        res.status(err.status).json(err.toJSON());
+      }
+    };
+  }
+
+  // Refilled up to now
+  bucket(key, capacity, perMs, now) {
+    let bucket = this.buckets.get(key);
+    if (!bucket) {
+      bucket = { tokens: capacity, updatedAt: now, capacity, perMs };
+      this.buckets.set(key, bucket);
+    }
+
+    bucket.tokens = Math.min(capacity, bucket.tokens + (now - bucket.updatedAt) * perMs);
+    bucket.updatedAt = now;
+    return bucket;
+  }
+
+  sweep() {
+    const now = Date.now();
+    for (const [key, bucket] of this.buckets) {
+      if (bucket.tokens + (now - bucket.updatedAt) * bucket.perMs >= bucket.capacity) {
+        this.buckets.delete(key);
+      }
+    }
+  }
+}
+
+module.exports = {
+  RateLimiter
+};
@@ -0,0 +1,240 @@
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+const { openDatabase } = require('./database');
+const { GenerationService } = require('./generation');
+const { AutoGenerateTrigger } = require('./triggers');
+const { GenerateVote, RewindVote } = require('./votes');
+const { SeasonManager } = require('./seasons');
+const { publicWord } = require('./moderation');
+const { limits } = require('./validation');
+const { AppError } = require('./errors');
+
+// Rooms are independent canvases served by one process. Each has its own
+// database (grid, word sequence, current image, history, job queue), its own
+// generation service and its own Socket.IO room. The default room keeps the
+// original server/grid.db, so existing installs carry on unchanged; other
+// rooms live in server/rooms/<slug>.db and are reachable at /r/<slug>.
+
+const DEFAULT_ROOM = 'main';
+const DEFAULT_DB_PATH = path.join(__dirname, 'grid.db');
+const ROOMS_DIR = path.join(__dirname, 'rooms');
+
+// Visiting /r/<slug> creates the room when enabled; otherwise only admins can
+const ROOMS_AUTO_CREATE = process.env.ROOMS_AUTO_CREATE === 'true';
+const MAX_ROOMS = parseInt(process.env.MAX_ROOMS, 10) || 20;
+
+// Cursors that have not moved for this long are left out of a new client's
+// state; clients expire them on their own after the same time
+const CURSOR_STALE_MS = 15000;
+
+// Size of new grids in cells; existing grids keep the size they were made
+// with. Rooms created through the admin API can pick their own.
+const MAX_GRID_SIDE = 1000;
+const DEFAULT_GRID_SIZE = {
+  width: gridSide(process.env.GRID_WIDTH, 100),
+  height: gridSide(process.env.GRID_HEIGHT, 100)
+};
+
+// Lowercase letters, digits and inner dashes, up to 32 characters
+const SLUG_PATTERN = /^[a-z0-9](?:[a-z0-9-]{0,30}[a-z0-9])?$/;
+
+function gridSide(value, fallback) {
+  const n = parseInt(value, 10);
+  if (Number.isNaN(n)) return fallback;
+  return Math.max(1, Math.min(MAX_GRID_SIDE, n));
+}
+
+class Room {
+  // publicId(userId) -> what other clients see instead of the user id
+  constructor(slug, dbPath, gridSize, publicId = userId => userId) {
+    this.slug = slug;
+    this.channel = `room:${slug}`;
+    this.db = openDatabase(dbPath, gridSize);
+    this.publicId = publicId;
+    this.connectedUsers = new Map(); // socketId -> { userId, color, cursor }
+
+    const onlineUserIds = () => this.onlineUserIds();
+    this.generation = new GenerationService(this.db);
+    this.autoTrigger = new AutoGenerateTrigger(this.db, this.generation);
+    this.generateVote = new GenerateVote(this.generation, onlineUserIds);
+    this.rewindVote = new RewindVote(this.db, this.generation, onlineUserIds);
+    this.seasons = new SeasonManager(this.db, this.generation);
+
+    // Nothing carries over into a new season
+    this.seasons.on('archived', () => {
+      this.autoTrigger.resetBaseline();
+      this.generateVote.reset();
+      if (this.rewindVote.tally()) {
+        this.rewindVote.close();
+      }
+    });
+  }
+
+  start() {
+    this.generation.start();
+    this.autoTrigger.start();
+    this.seasons.check();
+  }
+
+  // Distinct users online (one user may have several tabs open)
+  onlineUserIds() {
+    return new Set(Array.from(this.connectedUsers.values(), user => user.userId));
+  }
+
+  // One entry per user online, however many tabs they have open
+  roster() {
+    return Array.from(this.onlineUserIds(), userId => this.rosterEntry(userId));
+  }
+
+  rosterEntry(userId) {
+    const user = this.db.getUser(userId);
+    return { userId: this.publicId(userId), nickname: user.nickname || null, color: user.color };
+  }
+
+  // Other people's cursors that moved recently, with how long ago (ms)
+  cursors() {
+    const now = Date.now();
+    return Array.from(this.connectedUsers.values())
+      .filter(user => user.cursor && now - user.cursor.movedAt < CURSOR_STALE_MS)
+      .map(({ cursor: { movedAt, ...cursor } }) => ({ ...cursor, idle: now - movedAt }));
+  }
+
+  // --- What clients see: user ids swapped for public ids ---
+
+  publicWord(row) {
+    return { ...publicWord(row), user_id: this.publicId(row.user_id) };
+  }
+
+  publicQueue({ running, queued }) {
+    return {
+      running: running && { ...running, requestedBy: this.publicId(running.requestedBy) },
+      queued: queued.map(job => ({ ...job, requestedBy: this.publicId(job.requestedBy) }))
+    };
+  }
+
+  publicJob(job) {
+    return { ...job, requestedBy: this.publicId(job.requestedBy) };
+  }
+
+  // Vote tallies (null when no vote is open)
+  publicTally(tally) {
+    return tally && { ...tally, voters: tally.voters.map(userId => this.publicId(userId)) };
+  }
+
+  // Everything a client needs to draw the room from scratch
+  state() {
+    const { db } = this;
+    return {
+      room: this.slug,
+      grid: db.getGridSize(),
+      season: this.seasons.status(),
+      limits: limits(),
+      words: db.getAllWords().map(w => ({ ...this.publicWord(w), ...db.cellOf(w.position) })),
+      nextPosition: db.getNextPosition(),
+      currentImage: db.getCurrentImage(),
+      wordCount: db.getWordCount(),
+      onlineUsers: this.onlineUserIds().size,
+      roster: this.roster(),
+      cursors: this.cursors(),
+      queue: this.publicQueue(this.generation.snapshot()),
+      autoGenerate: this.autoTrigger.status(),
+      vote: this.generateVote.enabled ? this.publicTally(this.generateVote.tally()) : null,
+      rewindVote: this.publicTally(this.rewindVote.tally())
+    };
+  }
+
+  summary() {
+    return {
+      slug: this.slug,
+      grid: this.db.getGridSize(),
+      season: this.db.getCurrentSeason().number,
+      wordCount: this.db.getWordCount(),
+      currentImage: this.db.getCurrentImage(),
+      onlineUsers: this.onlineUserIds().size
+    };
+  }
+}
+
+// Emits 'created' (room) before a room starts, so listeners can relay its
+// events before any recovered job runs
+class RoomRegistry extends EventEmitter {
+  // publicId: passed on to every room (see Room)
+  constructor({ publicId } = {}) {
+    super();
+    this.rooms = new Map();
+    this.publicId = publicId;
+  }
+
+  // Open the default room and every room created on an earlier run
+  load() {
+    this.open(DEFAULT_ROOM, DEFAULT_DB_PATH);
+
+    if (fs.existsSync(ROOMS_DIR)) {
+      for (const file of fs.readdirSync(ROOMS_DIR)) {
+        const slug = path.basename(file, '.db');
+        if (file.endsWith('.db') && SLUG_PATTERN.test(slug) && slug !== DEFAULT_ROOM) {
+          this.open(slug, path.join(ROOMS_DIR, file));
+        }
+      }
+    }
+  }
+
+  open(slug, dbPath, gridSize = DEFAULT_GRID_SIZE) {
+    const room = new Room(slug, dbPath, gridSize, this.publicId);
+    this.rooms.set(slug, room);
+    this.emit('created', room);
+    room.start();
+    return room;
+  }
+
+  get(slug) {
+    return this.rooms.get(slug) || null;
+  }
+
+  // The room behind a URL or handshake; unknown rooms are created on the fly
+  // when ROOMS_AUTO_CREATE is on
+  resolve(slug = DEFAULT_ROOM) {
+    const room = this.get(slug);
+    if (room) return room;
+
+    if (ROOMS_AUTO_CREATE && SLUG_PATTERN.test(slug)) {
+      return this.create(slug);
+    }
+    throw new AppError('ROOM_NOT_FOUND', `No room named "${slug}"`);
+  }
+
+  // width and height default to GRID_WIDTH and GRID_HEIGHT
+  create(slug, { width, height } = {}) {
+    if (typeof slug !== 'string' || !SLUG_PATTERN.test(slug)) {
+      throw new AppError('INVALID_ROOM', 'Room names use lowercase letters, digits and dashes (up to 32)');
+    }
+    if (this.rooms.has(slug)) {
+      throw new AppError('ROOM_EXISTS', `Room "${slug}" already exists`);
+    }
+    if (this.rooms.size >= MAX_ROOMS) {
+      throw new AppError('TOO_MANY_ROOMS', `This server is limited to ${MAX_ROOMS} rooms`);
+    }
+
+    fs.mkdirSync(ROOMS_DIR, { recursive: true });
+    console.log(`Creating room "${slug}"`);
+    return this.open(slug, path.join(ROOMS_DIR, `${slug}.db`), {
+      width: gridSide(width, DEFAULT_GRID_SIZE.width),
+      height: gridSide(height, DEFAULT_GRID_SIZE.height)
+    });
+  }
+
+  list() {
+    return Array.from(this.rooms.values(), room => room.summary());
+  }
+
+  // Whether the user has been seen in any room
+  hasUser(userId) {
+    return Array.from(this.rooms.values()).some(room => room.db.getUser(userId));
+  }
+}
+
+module.exports = {
+  DEFAULT_ROOM,
+  RoomRegistry
+};
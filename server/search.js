@@ -0,0 +1,76 @@
+const vm = require('vm');
+const { AppError } = require('./errors');
+
+// Word search over the grid. A plain query matches anywhere inside a word,
+// ignoring case; with regex set it is a regular expression (also ignoring
+// case). Results can be narrowed to one author or one phrase. Words whose
+// text is hidden (held, redacted, retracted) are never matched.
+//
+// Regular expressions come from anyone, so they run under a time limit:
+// one that backtracks for too long is refused instead of stalling the
+// server.
+
+const MAX_QUERY_LENGTH = 200;
+const REGEX_TIMEOUT_MS = 250;
+const RESULT_LIMIT = { default: 100, max: 1000 };
+
+function invalid(message) {
+  return new AppError('INVALID_SEARCH', message);
+}
+
+// -> function from a list of words to whether each one matches
+function matcher(q, regex) {
+  if (!regex) {
+    const needle = q.toLowerCase();
+    return (words) => words.map(word => word.toLowerCase().includes(needle));
+  }
+
+  let pattern;
+  try {
+    pattern = new RegExp(q, 'iu');
+  } catch (error) {
+    throw invalid(error.message);
+  }
+
+  return (words) => {
+    try {
+      return vm.runInNewContext('words.map(word => pattern.test(word))', { words, pattern }, { timeout: REGEX_TIMEOUT_MS });
+    } catch (error) {
+      if (error.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT') {
+        throw invalid('The regular expression took too long; try a simpler one');
+      }
+      throw error;
+    }
+  };
+}
+
+// { q, regex, userId, groupId, limit } -> { total, matches } in grid order.
+// An empty query with a filter lists everything the filter allows.
+function searchWords(db, { q = '', regex = false, userId = null, groupId = null, limit } = {}) {
+  if (typeof q !== 'string' || q.length > MAX_QUERY_LENGTH) {
+    throw invalid(`The query can be at most ${MAX_QUERY_LENGTH} characters`);
+  }
+  if (!q && !userId && !groupId) {
+    throw invalid('Give a query, a userId or a groupId');
+  }
+
+  const n = parseInt(limit, 10);
+  const count = Number.isNaN(n) ? RESULT_LIMIT.default : Math.max(1, Math.min(RESULT_LIMIT.max, n));
+
+  const candidates = db.getAllWords().filter(w =>
+    w.status === 'visible' &&
+    (!userId || w.user_id === userId) &&
+    (!groupId || w.group_id === groupId)
+  );
+  const hits = q ? matcher(q, regex)(candidates.map(w => w.word)) : candidates.map(() => true);
+  const matches = candidates.filter((w, i) => hits[i]);
+
+  return {
+    total: matches.length,
+    matches: matches.slice(0, count).map(w => ({ ...w, ...db.cellOf(w.position) }))
+  };
+}
+
+module.exports = {
+  searchWords
+};
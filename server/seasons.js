@@ -0,0 +1,112 @@
+const EventEmitter = require('events');
+const { AppError, GenerationError } = require('./errors');
+
+// Seasons: when the grid fills up (or an admin asks), its words, image
+// history and final image are archived and a fresh grid starts.
+//
+// Words placed since the last image first get one final generation so the
+// season ends on a picture of the whole grid; the archive runs once the
+// queue is idle. Until then the season is 'pending'.
+//
+// Emits 'update' with status() and 'archived' (season row).
+
+// Set to false to leave a full grid as it is until an admin starts a new season
+const ARCHIVE_WHEN_FULL = process.env.SEASON_ARCHIVE_WHEN_FULL !== 'false';
+
+class SeasonManager extends EventEmitter {
+  constructor(db, generation) {
+    super();
+    this.db = db;
+    this.generation = generation;
+    this.pendingReason = null;
+
+    // Wait a tick so the finished job has left the queue
+    ['complete', 'failed', 'cancelled'].forEach(event => {
+      generation.on(event, () => setImmediate(() => this.archiveIfIdle()));
+    });
+  }
+
+  isFull() {
+    const { width, height } = this.db.getGridSize();
+    return this.db.getNextPosition() >= width * height;
+  }
+
+  // Call after every word placement, and on boot in case the server stopped
+  // while a full grid was waiting to be archived
+  check() {
+    if (ARCHIVE_WHEN_FULL && this.isFull()) {
+      this.request('full');
+    }
+  }
+
+  // reason: 'full' or 'admin'. Returns the archived season, or null while
+  // it waits for the final image. A full grid with no visible words (all
+  // held, retracted or redacted) is archived without a final image; only
+  // an admin asking to archive an empty grid is refused.
+  request(reason) {
+    if (this.pendingReason) return null;
+    if (reason === 'admin' && this.db.getWordCount() === 0) {
+      throw new AppError('NO_WORDS', 'Nothing to archive yet');
+    }
+
+    this.pendingReason = reason;
+    console.log(`Starting a new season (${reason})`);
+
+    if (!this.generation.isBusy() && this.db.getWordCount() > this.db.getLastGeneratedWordCount()) {
+      try {
+        this.generation.requestGeneration({ requestedBy: null });
+      } catch (error) {
+        if (!(error instanceof GenerationError)) throw error;
+        console.log(`Final image skipped: ${error.message}`);
+      }
+    }
+
+    const season = this.archiveIfIdle();
+    if (!season) {
+      this.emitUpdate();
+    }
+    return season;
+  }
+
+  // Discard the grid now, without a final image. Its image history is filed
+  // under a 'reset' season so it no longer describes the live grid.
+  reset() {
+    if (this.generation.isBusy()) {
+      throw new AppError('GENERATION_IN_PROGRESS', 'Cancel or wait for the current generation first');
+    }
+
+    this.pendingReason = null;
+    const season = this.db.archiveSeason('reset', { keepWords: false });
+    console.log(`Grid reset (season ${season.id})`);
+
+    this.emit('archived', season);
+    this.emitUpdate();
+    return season;
+  }
+
+  archiveIfIdle() {
+    if (!this.pendingReason || this.generation.isBusy()) return null;
+
+    const season = this.db.archiveSeason(this.pendingReason);
+    this.pendingReason = null;
+    console.log(`Archived season ${season.id} (${season.word_count} words)`);
+
+    this.emit('archived', season);
+    this.emitUpdate();
+    return season;
+  }
+
+  // number counts from 1; pending is the reason a new season is waiting on
+  // the final image, or null
+  status() {
+    return { ...this.db.getCurrentSeason(), pending: this.pendingReason };
+  }
+
+  emitUpdate() {
+    this.emit('update', this.status());
+  }
+}
+
+module.exports = {
+  SeasonManager
+};
@@ -5,11 +5,27 @@ const http = require('http');
 const { Server } = require('socket.io');
 const cors = require('cors');
 const path = require('path');
-const db = require('./database');
-const gemini = require('./gemini');
+const imageProvider = require('./providers');
+const { RoomRegistry, DEFAULT_ROOM } = require('./rooms');
+const { requireAdmin } = require('./admin');
+const { AppError, GenerationError } = require('./errors');
+const prompt = require('./prompt');
+const timelapse = require('./timelapse');
+const stats = require('./stats');
+const { searchWords } = require('./search');
+const moderation = require('./moderation');
+const { validate, checkWord, limits } = require('./validation');
+const { RateLimiter } = require('./ratelimit');
+const { SessionManager } = require('./sessions');
 
 const PORT = process.env.PORT || 3001;
 
+// Seconds a placed word can be retracted for (it is locked sooner if an image
+// is made from it); 0 leaves only the image as the limit
+const RETRACT_WINDOW_SECONDS = process.env.RETRACT_WINDOW_SECONDS === undefined
+  ? 60
+  : parseInt(process.env.RETRACT_WINDOW_SECONDS, 10) || 0;
+
 const app = express();
 const server = http.createServer(app);
 const io = new Server(server, {
@@ -19,239 +35,813 @@ const io = new Server(server, {
 app.use(cors());
 app.use(express.json());
 
-// Serve static files from parent directory (frontend)
-app.use(express.static(path.join(__dirname, '..')));
+// Serve the frontend files by name. Nothing else in the parent directory is
+// reachable: the server's databases there hold the session signing key.
+const FRONTEND_DIR = path.join(__dirname, '..');
+const FRONTEND_FILES = [
+  'index.html',
+  'style.css',
+  'grid-canvas.js',
+  'minimap.js',
+  'app.js',
+  'seasons.html',
+  'seasons.js',
+  'admin.html',
+  'admin.js'
+];
+
+app.get('/', (req, res) => res.sendFile(path.join(FRONTEND_DIR, 'index.html')));
+FRONTEND_FILES.forEach((file) => {
+  app.get(`/${file}`, (req, res) => res.sendFile(path.join(FRONTEND_DIR, file)));
+});
 
 // Serve generated images
 app.use('/images', express.static(path.join(__dirname, 'images')));
 
-// Initialize database and Gemini
-db.initDatabase();
-gemini.initializeGemini();
+imageProvider.initializeProvider();
+
+// Shared by all rooms, so moving between rooms does not reset anyone's
+// allowance
+const limiter = new RateLimiter();
+
+// Identities are global: one token works in every room
+const sessions = new SessionManager();
+
+// Every room has its own grid and generation pipeline; their lifecycle
+// events go to the clients in that room only
+const rooms = new RoomRegistry({ publicId: userId => sessions.publicId(userId) });
+
+// The user behind a public id that some client sent (null if unknown)
+function userIdOf(room, publicId) {
+  return sessions.resolvePublicId(publicId, () => room.db.getUserIds());
+}
+
+// Every word-placed event goes through here, so none carries a raw user id.
+// The author of a held word still sees the word itself.
+function emitWordPlaced(target, room, word, { own = false } = {}) {
+  const payload = room.publicWord(word);
+  target.emit('word-placed', own ? { ...payload, word: word.word } : payload);
+}
+
+rooms.on('created', (room) => {
+  const { generation, autoTrigger, generateVote, rewindVote, seasons } = room;
+  const toRoom = io.to(room.channel);
+
+  generation.on('queue', (snapshot) => toRoom.emit('queue-update', room.publicQueue(snapshot)));
+  generation.on('started', (data) => toRoom.emit('generation-started', data));
+  generation.on('complete', (data) => toRoom.emit('generation-complete', data));
+  generation.on('retrying', (data) => toRoom.emit('generation-retrying', data));
+  generation.on('failed', (data) => toRoom.emit('generation-failed', data));
+  generation.on('cancelled', (data) => toRoom.emit('generation-cancelled', data));
+  generation.on('rewound', (data) => toRoom.emit('image-rewound', data));
+
+  // Optional automatic generation (word count, typing pause, schedule)
+  autoTrigger.on('update', (status) => toRoom.emit('auto-generate-status', status));
+
+  // Optional vote-to-generate mode: request-generate becomes a vote
+  generateVote.on('update', (tally) => toRoom.emit('vote-update', room.publicTally(tally)));
+  generateVote.on('rejected', (error, voters) => {
+    room.connectedUsers.forEach((user, socketId) => {
+      if (voters.includes(user.userId)) {
+        io.to(socketId).emit('generation-rejected', error.toJSON());
+      }
+    });
+  });
+
+  // Branching: users can vote to rewind the current image to a past one
+  rewindVote.on('update', (tally) => toRoom.emit('rewind-vote-update', room.publicTally(tally)));
+  rewindVote.on('rejected', (error) => toRoom.emit('generation-rejected', error.toJSON()));
+
+  // A full grid rolls over into a new season; clients redraw from the fresh state
+  seasons.on('update', (status) => toRoom.emit('season-status', status));
+  seasons.on('archived', (season) => toRoom.emit('season-archived', { season, state: room.state() }));
+});
 
-// Track connected users
-const connectedUsers = new Map(); // socketId -> { userId, color }
+rooms.load();
 
-// Generation cooldown (30 seconds)
-let lastGenerationTime = 0;
-const GENERATION_COOLDOWN = 0;
-let isGenerating = false;
+// The same page serves every room; the client reads the slug from its URL
+app.get('/r/:slug', (req, res) => {
+  try {
+    rooms.resolve(req.params.slug);
+  } catch (error) {
+    return res.status(404).send('Room not found');
+  }
+  res.sendFile(path.join(FRONTEND_DIR, 'index.html'));
+});
 
 // --- API Routes ---
 
-app.get('/api/state', (req, res) => {
+app.get('/api/rooms', (req, res) => {
+  res.json(rooms.list());
+});
+
+app.post('/api/admin/rooms', requireAdmin, (req, res) => {
+  try {
+    const { slug, width, height } = req.body;
+    const room = rooms.create(slug, { width, height });
+    res.status(201).json(room.summary());
+  } catch (error) {
+    const err = AppError.from(error);
+    res.status(err.status).json(err.toJSON());
+  }
+});
+
+// Bans apply in every room. A banned user's open tabs are told right away.
+app.get('/api/admin/bans', requireAdmin, (req, res) => {
+  res.json(sessions.getBans());
+});
+
+app.post('/api/admin/bans', requireAdmin, (req, res) => {
+  const { userId, reason } = req.body || {};
+  if (typeof userId !== 'string' || !userId) {
+    const err = new AppError('INVALID_PAYLOAD', 'userId is required');
+    return res.status(err.status).json(err.toJSON());
+  }
+
+  const ban = sessions.ban(userId, typeof reason === 'string' && reason ? reason : null);
+  io.to(`user:${userId}`).emit('banned', { reason: ban.reason });
+  res.status(201).json(ban);
+});
+
+app.delete('/api/admin/bans/:userId', requireAdmin, (req, res) => {
+  const { userId } = req.params;
+  if (!sessions.unban(userId)) {
+    const err = new AppError('NOT_BANNED', 'That user is not banned');
+    return res.status(err.status).json(err.toJSON());
+  }
+
+  io.to(`user:${userId}`).emit('unbanned', {});
+  res.json({ status: 'unbanned', userId });
+});
+
+// Exchange a token (or a pre-token user id) for a session, for REST clients
+// that never open a socket
+app.post('/api/session', (req, res) => {
+  const { token, legacyUserId } = req.body || {};
+  const session = sessions.authenticate({ token, legacyUserId }, userId => rooms.hasUser(userId));
+  res.json({ ...session, publicId: sessions.publicId(session.userId) });
+});
+
+// Room-scoped routes: /api/rooms/<slug>/... for a named room, plain /api/...
+// for the default room
+const api = express.Router({ mergeParams: true });
+
+api.use((req, res, next) => {
+  try {
+    req.room = rooms.resolve(req.params.room || DEFAULT_ROOM);
+    // Who is asking, from the X-Session-Token header; null if anonymous
+    req.userId = sessions.verify(req.get('x-session-token'));
+    next();
+  } catch (error) {
+    const err = AppError.from(error);
+    res.status(err.status).json(err.toJSON());
+  }
+});
+
+api.get('/state', (req, res) => {
+  const { db, generation, autoTrigger, generateVote, seasons } = req.room;
   res.json({
     nextPosition: db.getNextPosition(),
     currentImage: db.getCurrentImage(),
     wordCount: db.getWordCount(),
-    onlineUsers: connectedUsers.size
+    room: req.room.slug,
+    grid: db.getGridSize(),
+    season: seasons.status(),
+    limits: limits(),
+    onlineUsers: req.room.onlineUserIds().size,
+    queue: req.room.publicQueue(generation.snapshot()),
+    autoGenerate: autoTrigger.status(),
+    vote: generateVote.enabled ? req.room.publicTally(generateVote.tally()) : null
   });
 });
 
-app.get('/api/words', (req, res) => {
-  const words = db.getAllWords();
+api.get('/words', (req, res) => {
+  const words = req.room.db.getAllWords().map(w => req.room.publicWord(w));
   res.json(words);
 });
 
-app.get('/api/history', (req, res) => {
-  res.json(db.getImageHistory());
+// ?q= (substring, or a regular expression with regex=1), narrowed by
+// ?userId= (a public id) and ?groupId=; ?limit= caps the matches returned
+// (default 100)
+api.get('/words/search', limiter.middleware('search'), (req, res) => {
+  const { q, regex, userId, groupId, limit } = req.query;
+  try {
+    const author = userId ? userIdOf(req.room, userId) : null;
+    if (userId && !author) {
+      return res.json({ total: 0, matches: [] });
+    }
+
+    const result = searchWords(req.room.db, {
+      q,
+      regex: regex === '1' || regex === 'true',
+      userId: author,
+      groupId,
+      limit
+    });
+    res.json({ ...result, matches: result.matches.map(w => req.room.publicWord(w)) });
+  } catch (error) {
+    const err = AppError.from(error);
+    res.status(err.status).json(err.toJSON());
+  }
+});
+
+api.get('/history', (req, res) => {
+  res.json(req.room.db.getImageHistory());
 });
 
-app.post('/api/generate', async (req, res) => {
-  if (isGenerating) {
-    return res.status(429).json({ error: 'Generation already in progress' });
+// Every completed image as one animated PNG.
+// ?size=<px>&frameMs=<ms>&captions=1 (word counts on each frame)
+api.get('/history/timelapse', limiter.middleware('timelapse'), async (req, res) => {
+  try {
+    const result = await timelapse.buildTimelapse(req.room.db, req.query);
+    if (!result) {
+      throw new GenerationError('NO_IMAGES', 'No completed images to export');
+    }
+
+    res.set('Content-Type', 'image/apng');
+    res.set('Content-Disposition', 'attachment; filename="timelapse.png"');
+    res.set('X-Timelapse-Frames', String(result.frames));
+    res.send(result.buffer);
+  } catch (error) {
+    const err = AppError.from(error);
+    res.status(err.status).json(err.toJSON());
+  }
+});
+
+// The grid words that fed one history entry's prompt
+api.get('/history/:id/words', (req, res) => {
+  const { db } = req.room;
+  const range = db.getImageHistoryRange(parseInt(req.params.id, 10));
+  if (!range) {
+    const err = new GenerationError('HISTORY_NOT_FOUND', 'No image history entry with that id');
+    return res.status(err.status).json(err.toJSON());
   }
 
-  const now = Date.now();
-  const cooldownRemaining = GENERATION_COOLDOWN - (now - lastGenerationTime);
-  if (cooldownRemaining > 0) {
-    return res.status(429).json({
-      error: 'Cooldown active',
-      cooldownRemaining: Math.ceil(cooldownRemaining / 1000)
+  // Groups outside the prompt can interleave with the range; leave them out
+  const groupIds = new Set(range.groupIds);
+  const words = range.firstPosition === null
+    ? []
+    : db.getWordsInRange(range.firstPosition, range.lastPosition, range.lastSequence)
+      .filter(w => !w.group_id || groupIds.has(w.group_id))
+      .map(w => ({ ...w, user_id: req.room.publicId(w.user_id) }));
+  res.json({ ...range, words });
+});
+
+// Every image nested under the one it evolved from
+api.get('/history/tree', (req, res) => {
+  const { db } = req.room;
+  res.json({
+    currentId: db.getHistoryIdForImage(db.getCurrentImage()),
+    roots: db.getImageLineage()
+  });
+});
+
+// The exact prompt the next generation would send; ?strategy= previews
+// another composition strategy without changing the configured one
+api.get('/prompt/preview', (req, res) => {
+  const strategy = req.query.strategy || prompt.DEFAULT_STRATEGY;
+  if (!prompt.isStrategy(strategy)) {
+    const err = new GenerationError('UNKNOWN_STRATEGY', `Unknown prompt strategy "${strategy}"`, {
+      strategies: prompt.STRATEGY_NAMES
     });
+    return res.status(err.status).json(err.toJSON());
   }
 
-  const wordCount = db.getWordCount();
-  if (wordCount === 0) {
-    return res.status(400).json({ error: 'No words to generate from' });
+  res.json(prompt.buildPrompt(req.room.db, { strategy }));
+});
+
+api.post('/generate', limiter.middleware('generate'), (req, res) => {
+  try {
+    // In vote mode this is a vote like any other, so it needs an identity
+    const { generateVote } = req.room;
+    if (generateVote.enabled) {
+      if (!req.userId) {
+        throw new GenerationError('SESSION_REQUIRED', 'Generation is put to a vote; send your session token to vote');
+      }
+      generateVote.cast(req.userId);
+      return res.status(202).json({ status: 'voted', ...req.room.publicTally(generateVote.tally()) });
+    }
+
+    const job = req.room.generation.requestGeneration({ requestedBy: req.userId });
+    res.json({ status: 'queued', ...req.room.publicJob(job) });
+  } catch (error) {
+    const err = AppError.from(error);
+    res.status(err.status).json(err.toJSON());
   }
+});
 
-  // Start generation
-  isGenerating = true;
-  lastGenerationTime = now;
+// Replay the prompt of a failed generation
+api.post('/history/:id/retry', limiter.middleware('generate'), (req, res) => {
+  try {
+    const job = req.room.generation.retryGeneration(parseInt(req.params.id, 10), { requestedBy: req.userId });
+    res.json({ status: 'queued', ...req.room.publicJob(job) });
+  } catch (error) {
+    const err = AppError.from(error);
+    res.status(err.status).json(err.toJSON());
+  }
+});
 
-  // Respond immediately
-  res.json({ status: 'started' });
+api.delete('/generate/:jobId', limiter.middleware('generate'), (req, res) => {
+  try {
+    req.room.generation.cancelGeneration(parseInt(req.params.jobId, 10), { requestedBy: req.userId });
+    res.json({ status: 'cancelled' });
+  } catch (error) {
+    const err = AppError.from(error);
+    res.status(err.status).json(err.toJSON());
+  }
+});
 
-  // Broadcast generation started
-  io.emit('generation-started', { wordCount });
+// One contributor's figures; ?window=hour|day|week|month|all
+api.get('/users/:id/stats', (req, res) => {
+  try {
+    const userId = userIdOf(req.room, req.params.id);
+    const result = userId && stats.userStats(req.room.db, userId, { window: req.query.window });
+    if (!result) {
+      throw new AppError('USER_NOT_FOUND', 'No user with that id in this room');
+    }
+    res.json({ ...result, userId: req.params.id });
+  } catch (error) {
+    const err = AppError.from(error);
+    res.status(err.status).json(err.toJSON());
+  }
+});
 
+// Top contributors by words placed; ?window= as above, ?limit= (default 10)
+api.get('/leaderboard', (req, res) => {
   try {
-    const promptText = db.getPromptText(3000);
-    const currentImage = db.getCurrentImage();
+    const board = stats.leaderboard(req.room.db, { window: req.query.window, limit: req.query.limit });
+    res.json({ ...board, entries: board.entries.map(entry => ({ ...entry, userId: req.room.publicId(entry.userId) })) });
+  } catch (error) {
+    const err = AppError.from(error);
+    res.status(err.status).json(err.toJSON());
+  }
+});
 
-    // Track in history
-    const historyEntry = db.addImageHistory(null, promptText.substring(0, 500), wordCount, 'generating');
+// Archived seasons, newest first
+api.get('/seasons', (req, res) => {
+  res.json({
+    current: req.room.seasons.status(),
+    seasons: req.room.db.getSeasons()
+  });
+});
 
-    let imagePath;
-    if (currentImage) {
-      imagePath = await gemini.evolveImage(currentImage, promptText);
-    } else {
-      imagePath = await gemini.generateFromText(promptText);
+// One archived season with its final grid
+api.get('/seasons/:id', (req, res) => {
+  const { db } = req.room;
+  const season = db.getSeason(parseInt(req.params.id, 10));
+  if (!season) {
+    const err = new AppError('SEASON_NOT_FOUND', 'No archived season with that id');
+    return res.status(err.status).json(err.toJSON());
+  }
+
+  const width = season.grid_width;
+  const words = db.getSeasonWords(season.id).map(w => ({
+    ...w,
+    user_id: req.room.publicId(w.user_id),
+    row: Math.floor(w.position / width),
+    col: w.position % width
+  }));
+  res.json({ ...season, words });
+});
+
+api.get('/seasons/:id/history', (req, res) => {
+  const { db } = req.room;
+  const season = db.getSeason(parseInt(req.params.id, 10));
+  if (!season) {
+    const err = new AppError('SEASON_NOT_FOUND', 'No archived season with that id');
+    return res.status(err.status).json(err.toJSON());
+  }
+  res.json(db.getSeasonHistory(season.id));
+});
+
+// --- Admin Routes ---
+
+api.post('/admin/rewind', requireAdmin, (req, res) => {
+  try {
+    res.json(req.room.generation.rewindTo(parseInt(req.body.historyId, 10)));
+  } catch (error) {
+    const err = AppError.from(error);
+    res.status(err.status).json(err.toJSON());
+  }
+});
+
+// Words held for review: list, approve (shown to everyone and used in
+// prompts from now on) or reject (removed from the grid)
+api.get('/admin/moderation/held', requireAdmin, (req, res) => {
+  res.json(req.room.db.getHeldWords());
+});
+
+api.post('/admin/moderation/held/:position/approve', requireAdmin, (req, res) => {
+  const { db, channel, autoTrigger } = req.room;
+  const word = db.approveWord(parseInt(req.params.position, 10));
+  if (!word) {
+    const err = new AppError('WORD_NOT_HELD', 'No word is held for review at that position');
+    return res.status(err.status).json(err.toJSON());
+  }
+
+  emitWordPlaced(io.to(channel), req.room, word);
+  autoTrigger.check();
+  res.json(word);
+});
+
+api.post('/admin/moderation/held/:position/reject', requireAdmin, (req, res) => {
+  const { db, channel } = req.room;
+  const word = db.rejectWord(parseInt(req.params.position, 10));
+  if (!word) {
+    const err = new AppError('WORD_NOT_HELD', 'No word is held for review at that position');
+    return res.status(err.status).json(err.toJSON());
+  }
+
+  io.to(channel).emit('words-removed', { positions: [word.position], reason: 'rejected' });
+  res.json({ status: 'rejected', position: word.position });
+});
+
+// Admin word operations pick words by exactly one of position, userId or
+// groupId (from the body, or the query string for GET)
+function wordSelector(source = {}) {
+  const keys = ['position', 'userId', 'groupId'].filter(key => source[key] !== undefined && source[key] !== '');
+  if (keys.length !== 1) {
+    throw new AppError('INVALID_SELECTOR', 'Give exactly one of position, userId or groupId');
+  }
+
+  const [key] = keys;
+  if (key === 'position') {
+    const position = Number(source.position);
+    if (!Number.isSafeInteger(position) || position < 0) {
+      throw new AppError('INVALID_SELECTOR', 'position must be a cell number');
     }
+    return { position };
+  }
+  return { [key]: String(source[key]) };
+}
 
-    // Update state
-    db.setCurrentImage(imagePath);
-    db.updateImageHistory(historyEntry.lastInsertRowid, imagePath, 'complete');
+// Every word with its full text, or only the ones matching ?position=,
+// ?userId= or ?groupId=
+api.get('/admin/words', requireAdmin, (req, res) => {
+  try {
+    const { db } = req.room;
+    const filtered = ['position', 'userId', 'groupId'].some(key => req.query[key] !== undefined);
+    res.json(filtered ? db.findWords(wordSelector(req.query)) : db.getAllWords());
+  } catch (error) {
+    const err = AppError.from(error);
+    res.status(err.status).json(err.toJSON());
+  }
+});
 
-    // Broadcast to all clients
-    io.emit('generation-complete', {
-      imagePath,
-      wordCount
-    });
+// Hide the text of matching words; their cells stay taken
+api.post('/admin/words/redact', requireAdmin, (req, res) => {
+  try {
+    const { db, channel } = req.room;
+    const positions = db.redactWords(wordSelector(req.body)).map(word => word.position);
+    if (positions.length > 0) {
+      io.to(channel).emit('words-redacted', { positions });
+    }
+    res.json({ redacted: positions.length, positions });
+  } catch (error) {
+    const err = AppError.from(error);
+    res.status(err.status).json(err.toJSON());
+  }
+});
 
-    console.log('Generation complete:', imagePath);
+// Remove matching words; their cells are left empty
+api.post('/admin/words/delete', requireAdmin, (req, res) => {
+  try {
+    const { db, channel } = req.room;
+    const positions = db.deleteWords(wordSelector(req.body)).map(word => word.position);
+    if (positions.length > 0) {
+      io.to(channel).emit('words-removed', { positions, reason: 'deleted' });
+    }
+    res.json({ deleted: positions.length, positions });
   } catch (error) {
-    console.error('Generation failed:', error.message);
+    const err = AppError.from(error);
+    res.status(err.status).json(err.toJSON());
+  }
+});
 
-    io.emit('generation-failed', {
-      error: error.message
-    });
-  } finally {
-    isGenerating = false;
+// Cancel anyone's queued or running generation
+api.delete('/admin/generate/:jobId', requireAdmin, (req, res) => {
+  try {
+    req.room.generation.cancelGeneration(parseInt(req.params.jobId, 10), { force: true });
+    res.json({ status: 'cancelled' });
+  } catch (error) {
+    const err = AppError.from(error);
+    res.status(err.status).json(err.toJSON());
   }
 });
 
+// Empty the grid at once, with no final image and no archived words
+api.post('/admin/reset', requireAdmin, (req, res) => {
+  try {
+    res.json({ status: 'reset', season: req.room.seasons.reset() });
+  } catch (error) {
+    const err = AppError.from(error);
+    res.status(err.status).json(err.toJSON());
+  }
+});
+
+// Archive the grid now and start a new season. 202 while the final image of
+// the remaining words is still being made.
+api.post('/admin/seasons', requireAdmin, (req, res) => {
+  try {
+    const season = req.room.seasons.request('admin');
+    if (season) {
+      res.json({ status: 'archived', season });
+    } else {
+      res.status(202).json({ status: 'pending', season: req.room.seasons.status() });
+    }
+  } catch (error) {
+    const err = AppError.from(error);
+    res.status(err.status).json(err.toJSON());
+  }
+});
+
+app.use('/api/rooms/:room', api);
+app.use('/api', api);
+
 // --- Socket.IO ---
 
-io.on('connection', (socket) => {
-  console.log('Client connected:', socket.id);
+// Malformed words are rejected the same way as blocked ones
+function screenWord(word) {
+  const problem = checkWord(word);
+  return problem ? { action: 'reject', ...problem } : moderation.moderate(word);
+}
+
+// Every socket carries an identity: the token from io({ auth: { token } }),
+// or a new one that the client receives in a 'session' event
+io.use((socket, next) => {
+  const { token, legacyUserId } = socket.handshake.auth || {};
+  socket.data.session = sessions.authenticate({ token, legacyUserId }, userId => rooms.hasUser(userId));
+  next();
+});
 
-  // Send initial state
-  const words = db.getAllWords();
-  const wordsWithGrid = words.map(w => ({
-    ...w,
-    row: Math.floor(w.position / 100),
-    col: w.position % 100
-  }));
+io.on('connection', (socket) => {
+  // Clients pick their room in the handshake: io({ query: { room } })
+  let room;
+  try {
+    room = rooms.resolve(socket.handshake.query.room || DEFAULT_ROOM);
+  } catch (error) {
+    socket.emit('room-error', AppError.from(error).toJSON());
+    socket.disconnect(true);
+    return;
+  }
 
-  socket.emit('initial-state', {
-    words: wordsWithGrid,
-    nextPosition: db.getNextPosition(),
-    currentImage: db.getCurrentImage(),
-    wordCount: db.getWordCount(),
-    onlineUsers: connectedUsers.size + 1
+  const { db, generation, autoTrigger, generateVote, rewindVote, seasons, connectedUsers } = room;
+  const { userId } = socket.data.session;
+  const toRoom = io.to(room.channel);
+  socket.join(room.channel);
+  socket.join(`user:${userId}`); // for messages meant for this user only
+  console.log(`Client connected to ${room.slug}:`, socket.id);
+
+  // A token that was just issued (or is unchanged) goes back to the client,
+  // with the public id the others know it by
+  socket.emit('session', {
+    ...socket.data.session,
+    publicId: sessions.publicId(userId),
+    banned: sessions.isBanned(userId)
   });
 
   // Register user
-  socket.on('register', (data) => {
-    const user = db.getOrCreateUser(data.userId);
-    connectedUsers.set(socket.id, { userId: data.userId, color: user.color });
+  const user = db.getOrCreateUser(userId);
+  const joined = !room.onlineUserIds().has(userId); // not already here in another tab
+  connectedUsers.set(socket.id, { userId, color: user.color });
+  socket.emit('user-registered', { color: user.color });
+
+  // Send initial state, then tell everyone the roster and user count changed
+  socket.emit('initial-state', room.state());
+  if (joined) {
+    socket.to(room.channel).emit('roster-join', room.rosterEntry(userId));
+  }
+  toRoom.emit('users-update', { count: room.onlineUserIds().size });
+  generateVote.onUsersChanged();
+  rewindVote.onUsersChanged();
+
+  // Like socket.on, but the handler only sees payloads that match the
+  // event's schema (anything else gets an 'invalid-payload' event), and
+  // only while the client is within its rate limit (otherwise it gets a
+  // 'rate-limited' event saying when to try again)
+  function on(event, handler) {
+    socket.on(event, (data) => {
+      let payload;
+      try {
+        payload = validate(event, data);
+      } catch (error) {
+        socket.emit('invalid-payload', AppError.from(error).toJSON());
+        return;
+      }
 
-    // Broadcast updated user count
-    io.emit('users-update', { count: connectedUsers.size });
+      try {
+        limiter.consumeEvent(event, { socket: socket.id, user: userId, ip: socket.handshake.address });
+      } catch (error) {
+        // Words are sent back, with the cell they were meant for, so the
+        // client can restore them
+        const words = payload.words || (payload.word ? [payload.word] : undefined);
+        socket.emit('rate-limited', { ...AppError.from(error).toJSON(), event, words, position: payload.position });
+        return;
+      }
 
-    // Send user their color
-    socket.emit('user-registered', { color: user.color });
-  });
+      handler(payload);
+    });
+  }
+
+  // Broadcast to ALL clients (including sender for server-confirmed
+  // position). A word held for review reaches only its author in full.
+  function broadcastPlaced(result) {
+    if (result.status === 'held') {
+      emitWordPlaced(socket, room, result, { own: true });
+      emitWordPlaced(socket.to(room.channel), room, result);
+    } else {
+      emitWordPlaced(toRoom, room, result);
+    }
+  }
+
+  // Banned users' words are refused like rejected ones, so the client takes
+  // them back off the grid
+  function refuseIfBanned(words) {
+    if (!sessions.isBanned(userId)) return false;
+
+    const message = 'You have been banned from placing words';
+    socket.emit('word-rejected', new AppError('BANNED', message, {
+      rejected: words.map(word => ({ word, reason: 'BANNED', message }))
+    }).toJSON());
+    return true;
+  }
 
   // Submit a single word
-  socket.on('submit-word', (data) => {
+  on('submit-word', (data) => {
+    if (refuseIfBanned([data.word])) return;
+
     try {
-      const result = db.claimNextPosition(data.userId, data.word, data.groupId);
+      const verdict = screenWord(data.word);
+      if (verdict.action === 'reject') {
+        socket.emit('word-rejected', moderation.rejection([{ word: data.word, ...verdict }]));
+        return;
+      }
+
+      const status = verdict.action === 'review' ? 'held' : 'visible';
+      const result = data.position === null
+        ? db.claimNextPosition(userId, data.word, data.groupId, status)
+        : db.claimPosition(userId, data.word, data.groupId, data.position, status);
+
+      // Someone else claimed the clicked cell first
+      if (!result) {
+        socket.emit('word-rejected', new AppError('CELL_TAKEN', 'Someone else just took that cell', {
+          rejected: [{ word: data.word, reason: 'CELL_TAKEN', message: 'That cell is taken' }],
+          position: data.position
+        }).toJSON());
+        return;
+      }
 
-      // Broadcast to ALL clients (including sender for server-confirmed position)
-      io.emit('word-placed', result);
+      broadcastPlaced(result);
+      autoTrigger.onWordsPlaced();
+      seasons.check();
     } catch (error) {
       socket.emit('error', { message: error.message });
     }
   });
 
   // Submit multiple words (paste)
-  socket.on('submit-words', (data) => {
+  on('submit-words', (data) => {
+    if (refuseIfBanned(data.words)) return;
+
     try {
-      const results = db.claimMultiplePositions(data.userId, data.words, data.groupId);
+      // Rejected words are dropped; the rest of the paste still goes in
+      const accepted = [];
+      const statuses = [];
+      const rejected = [];
+      for (const word of data.words) {
+        const verdict = screenWord(word);
+        if (verdict.action === 'reject') {
+          rejected.push({ word, ...verdict });
+        } else {
+          accepted.push(word);
+          statuses.push(verdict.action === 'review' ? 'held' : 'visible');
+        }
+      }
+
+      if (rejected.length > 0) {
+        socket.emit('word-rejected', moderation.rejection(rejected));
+      }
+      if (accepted.length === 0) return;
+
+      const results = db.claimMultiplePositions(userId, accepted, data.groupId, statuses, data.position);
 
       // Broadcast each word placement
-      results.forEach(result => {
-        io.emit('word-placed', result);
-      });
+      results.forEach(broadcastPlaced);
+      autoTrigger.onWordsPlaced();
+      seasons.check();
     } catch (error) {
       socket.emit('error', { message: error.message });
     }
   });
 
-  // Request generation via socket
-  socket.on('request-generate', async () => {
-    if (isGenerating) {
-      socket.emit('generation-failed', { error: 'Generation already in progress' });
-      return;
-    }
+  // Request generation via socket (a vote when vote mode is on)
+  on('request-generate', () => {
+    try {
+      if (generateVote.enabled) {
+        generateVote.cast(userId);
+        return;
+      }
 
-    const now = Date.now();
-    const cooldownRemaining = GENERATION_COOLDOWN - (now - lastGenerationTime);
-    if (cooldownRemaining > 0) {
-      socket.emit('generation-failed', {
-        error: `Please wait ${Math.ceil(cooldownRemaining / 1000)}s before generating again`
-      });
-      return;
+      const job = generation.requestGeneration({ requestedBy: userId });
+      socket.emit('generation-queued', room.publicJob(job));
+    } catch (error) {
+      socket.emit('generation-rejected', AppError.from(error).toJSON());
     }
+  });
 
-    const wordCount = db.getWordCount();
-    if (wordCount === 0) {
-      socket.emit('generation-failed', { error: 'No words to generate from' });
-      return;
-    }
+  on('withdraw-generate-vote', () => {
+    generateVote.withdraw(userId);
+  });
 
-    isGenerating = true;
-    lastGenerationTime = now;
+  // Vote to make a past image current again (opens a proposal if none is open)
+  on('vote-rewind', (data) => {
+    try {
+      rewindVote.cast(userId, data.historyId);
+    } catch (error) {
+      socket.emit('generation-rejected', AppError.from(error).toJSON());
+    }
+  });
 
-    io.emit('generation-started', { wordCount });
+  on('retry-generation', (data) => {
+    try {
+      const job = generation.retryGeneration(data.historyId, { requestedBy: userId });
+      socket.emit('generation-queued', room.publicJob(job));
+    } catch (error) {
+      socket.emit('generation-rejected', AppError.from(error).toJSON());
+    }
+  });
 
+  on('cancel-generation', (data) => {
     try {
-      const promptText = db.getPromptText(3000);
-      const currentImage = db.getCurrentImage();
+      generation.cancelGeneration(data.jobId, { requestedBy: userId });
+    } catch (error) {
+      socket.emit('generation-rejected', AppError.from(error).toJSON());
+    }
+  });
 
-      const historyEntry = db.addImageHistory(null, promptText.substring(0, 500), wordCount, 'generating');
+  // Take back our own words from a phrase, newest first (all of them unless
+  // count is given). Their cells stay behind as tombstones.
+  on('retract-words', (data) => {
+    if (sessions.isBanned(userId)) {
+      socket.emit('retract-rejected', new AppError('BANNED', 'You have been banned from changing the grid').toJSON());
+      return;
+    }
 
-      let imagePath;
-      if (currentImage) {
-        imagePath = await gemini.evolveImage(currentImage, promptText);
-      } else {
-        imagePath = await gemini.generateFromText(promptText);
-      }
+    const words = db.getRetractableWords(userId, data.groupId, RETRACT_WINDOW_SECONDS);
+    if (words.length === 0) {
+      const limit = RETRACT_WINDOW_SECONDS > 0 ? ` or after ${RETRACT_WINDOW_SECONDS}s` : '';
+      socket.emit('retract-rejected', new AppError(
+        'NOTHING_TO_RETRACT',
+        `Nothing to retract: words are locked once a generation starts from them${limit}`
+      ).toJSON());
+      return;
+    }
 
-      db.setCurrentImage(imagePath);
-      db.updateImageHistory(historyEntry.lastInsertRowid, imagePath, 'complete');
+    const positions = db.retractWords(words.slice(0, data.count || words.length).map(word => word.position));
+    toRoom.emit('words-retracted', { positions, userId: room.publicId(userId) });
+  });
 
-      io.emit('generation-complete', { imagePath, wordCount });
-      console.log('Generation complete:', imagePath);
-    } catch (error) {
-      console.error('Generation failed:', error.message);
-      io.emit('generation-failed', { error: error.message });
-    } finally {
-      isGenerating = false;
-    }
+  // Where this client is typing and what, for everyone else's presence.
+  // A word others could not see once placed (rejected, held, or from a
+  // banned user) is relayed blank.
+  on('cursor-move', (data) => {
+    const { width, height } = db.getGridSize();
+    if (data.position >= width * height) return;
+
+    const shown = data.word && !sessions.isBanned(userId) && screenWord(data.word).action === 'allow';
+    const cursor = { id: socket.id, userId: room.publicId(userId), color: user.color, position: data.position, word: shown ? data.word : '' };
+    connectedUsers.get(socket.id).cursor = { ...cursor, movedAt: Date.now() };
+    socket.to(room.channel).emit('cursor-update', cursor);
   });
 
-  // Cursor movement for presence
-  socket.on('cursor-move', (data) => {
-    const user = connectedUsers.get(socket.id);
-    if (user) {
-      socket.broadcast.emit('cursor-update', {
-        id: socket.id,
-        x: data.x,
-        y: data.y,
-        color: user.color
-      });
+  // Nicknames are per room, like colors; null clears it. A name that would
+  // be rejected or held as a word is refused.
+  on('set-nickname', (data) => {
+    const refuse = (message) => socket.emit('nickname-rejected', new AppError('NICKNAME_REJECTED', message).toJSON());
+    if (sessions.isBanned(userId)) {
+      refuse('You have been banned');
+      return;
+    }
+    if (data.nickname && data.nickname.split(' ').some(part => moderation.moderate(part).action !== 'allow')) {
+      refuse(`"${data.nickname}" is not allowed as a nickname`);
+      return;
     }
+
+    db.setNickname(userId, data.nickname);
+    toRoom.emit('roster-update', room.rosterEntry(userId));
   });
 
   socket.on('disconnect', () => {
     console.log('Client disconnected:', socket.id);
     connectedUsers.delete(socket.id);
-    io.emit('users-update', { count: connectedUsers.size });
-    io.emit('cursor-leave', { id: socket.id });
+    if (!room.onlineUserIds().has(userId)) {
+      toRoom.emit('roster-leave', { userId: room.publicId(userId) });
+      generateVote.withdraw(userId); // a vote only stands while its voter is here
+    }
+    toRoom.emit('users-update', { count: room.onlineUserIds().size });
+    socket.to(room.channel).emit('cursor-leave', { id: socket.id });
+    generateVote.onUsersChanged();
+    rewindVote.onUsersChanged();
   });
 });
 
@@ -0,0 +1,180 @@
+const crypto = require('crypto');
+const path = require('path');
+const Database = require('better-sqlite3');
+
+// Server-issued identities. A client gets a signed session token the first
+// time it connects and presents it on every later connection; words, votes
+// and jobs are attributed to the user id inside the token, never to one
+// sent in a payload.
+//
+//   SESSION_SECRET       key that signs tokens; without it a random key is
+//                        generated once and kept in sessions.db
+//   SESSION_LEGACY_IDS   'true' accepts the user ids browsers made up for
+//                        themselves before tokens existed (off by default)
+//   SESSION_LEGACY_DAYS  how long legacy ids are accepted, counted from the
+//                        first start with SESSION_LEGACY_IDS on (default 14)
+//
+// A legacy id is taken over by the first client that presents it, provided
+// the id has placed words in some room and no token was issued for it yet.
+// After that it is only reachable with the token. Other clients never see
+// raw user ids, only publicId(): otherwise anyone could read a legacy id off
+// the grid and claim it first.
+//
+// Bans live here too, since an identity is the same in every room.
+
+const SESSIONS_DB_PATH = path.join(__dirname, 'sessions.db');
+const LEGACY_IDS = process.env.SESSION_LEGACY_IDS === 'true';
+const LEGACY_DAYS = parseInt(process.env.SESSION_LEGACY_DAYS, 10) || 14;
+
+// Same shape the validation layer accepts for ids
+const ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+class SessionManager {
+  constructor(dbPath = SESSIONS_DB_PATH) {
+    this.db = new Database(dbPath);
+    this.db.pragma('journal_mode = WAL');
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS identities (
+        user_id TEXT PRIMARY KEY,
+        legacy INTEGER NOT NULL DEFAULT 0,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE TABLE IF NOT EXISTS bans (
+        user_id TEXT PRIMARY KEY,
+        reason TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE TABLE IF NOT EXISTS settings (
+        key TEXT PRIMARY KEY,
+        value TEXT
+      );
+    `);
+
+    this.secret = process.env.SESSION_SECRET || this.storedSecret();
+    this.legacyUntil = LEGACY_IDS ? this.legacySince() + LEGACY_DAYS * 86400000 : 0;
+
+    // publicId() results both ways: userId -> publicId, publicId -> userId
+    this.publicIds = new Map();
+    this.userIds = new Map();
+  }
+
+  storedSecret() {
+    const row = this.db.prepare("SELECT value FROM settings WHERE key = 'secret'").get();
+    if (row) return row.value;
+
+    const secret = crypto.randomBytes(32).toString('hex');
+    this.db.prepare("INSERT INTO settings (key, value) VALUES ('secret', ?)").run(secret);
+    return secret;
+  }
+
+  // When legacy ids were first accepted (ms), so restarts do not extend
+  // the window
+  legacySince() {
+    const row = this.db.prepare("SELECT value FROM settings WHERE key = 'legacy_since'").get();
+    if (row) return parseInt(row.value, 10);
+
+    const now = Date.now();
+    this.db.prepare("INSERT INTO settings (key, value) VALUES ('legacy_since', ?)").run(String(now));
+    return now;
+  }
+
+  sign(payload) {
+    return crypto.createHmac('sha256', this.secret).update(payload).digest('base64url');
+  }
+
+  // Token: base64url("<userId>.<issued at>") + "." + signature
+  issue(userId) {
+    const payload = Buffer.from(`${userId}.${Date.now()}`).toString('base64url');
+    return `${payload}.${this.sign(payload)}`;
+  }
+
+  // -> the user id the token was issued to, or null
+  verify(token) {
+    if (typeof token !== 'string') return null;
+
+    const [payload, signature] = token.split('.');
+    if (!payload || !signature) return null;
+
+    const expected = Buffer.from(this.sign(payload));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+      return null;
+    }
+
+    const userId = Buffer.from(payload, 'base64url').toString().split('.')[0];
+    return ID_PATTERN.test(userId) ? userId : null;
+  }
+
+  // Handshake credentials -> { userId, token }. A valid token is kept; a
+  // claimable legacy id is adopted; anyone else gets a new identity.
+  // isKnownUser(id) tells whether a legacy id has history worth keeping.
+  authenticate({ token, legacyUserId } = {}, isKnownUser = () => false) {
+    const userId = this.verify(token);
+    if (userId) return { userId, token };
+
+    if (this.canAdopt(legacyUserId, isKnownUser)) {
+      this.db.prepare('INSERT INTO identities (user_id, legacy) VALUES (?, 1)').run(legacyUserId);
+      console.log(`Issued a session for legacy user ${legacyUserId}`);
+      return { userId: legacyUserId, token: this.issue(legacyUserId) };
+    }
+
+    const newUserId = crypto.randomUUID();
+    this.db.prepare('INSERT INTO identities (user_id) VALUES (?)').run(newUserId);
+    return { userId: newUserId, token: this.issue(newUserId) };
+  }
+
+  // --- Public ids ---
+  // What other clients see instead of a user id: stable, but it cannot be
+  // turned back into the id without the secret
+
+  publicId(userId) {
+    if (!userId) return null;
+    if (this.publicIds.has(userId)) return this.publicIds.get(userId);
+
+    const publicId = crypto.createHmac('sha256', this.secret).update(`public:${userId}`).digest('base64url').slice(0, 16);
+    this.publicIds.set(userId, publicId);
+    this.userIds.set(publicId, userId);
+    return publicId;
+  }
+
+  // -> the user id behind a public id, or null. Ids not seen since the
+  // server started are looked for among getCandidates() (user ids).
+  resolvePublicId(publicId, getCandidates = () => []) {
+    if (this.userIds.has(publicId)) return this.userIds.get(publicId);
+    return getCandidates().find(userId => this.publicId(userId) === publicId) || null;
+  }
+
+  // --- Bans ---
+
+  ban(userId, reason = null) {
+    this.db.prepare('INSERT OR REPLACE INTO bans (user_id, reason) VALUES (?, ?)').run(userId, reason);
+    return this.db.prepare('SELECT * FROM bans WHERE user_id = ?').get(userId);
+  }
+
+  // false when the user was not banned
+  unban(userId) {
+    return this.db.prepare('DELETE FROM bans WHERE user_id = ?').run(userId).changes > 0;
+  }
+
+  isBanned(userId) {
+    return !!this.db.prepare('SELECT 1 FROM bans WHERE user_id = ?').get(userId);
+  }
+
+  getBans() {
+    return this.db.prepare('SELECT * FROM bans ORDER BY created_at DESC').all();
+  }
+
+  canAdopt(legacyUserId, isKnownUser) {
+    if (Date.now() >= this.legacyUntil || typeof legacyUserId !== 'string' || !ID_PATTERN.test(legacyUserId)) {
+      return false;
+    }
+    const issued = this.db.prepare('SELECT 1 FROM identities WHERE user_id = ?').get(legacyUserId);
+    return !issued && isKnownUser(legacyUserId);
+  }
+}
+
+module.exports = {
+  SessionManager
+};
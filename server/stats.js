@@ -0,0 +1,66 @@
+const { AppError } = require('./errors');
+
+// Contributor statistics and the leaderboard, over the current season.
+// Every figure can be limited to a recent time window:
+//
+//   hour, day, week, month, all (default)
+
+const WINDOWS = {
+  hour: 60 * 60,
+  day: 24 * 60 * 60,
+  week: 7 * 24 * 60 * 60,
+  month: 30 * 24 * 60 * 60,
+  all: null
+};
+
+const LEADERBOARD_LIMIT = { default: 10, max: 100 };
+
+// Window name -> seconds (null for all time); throws INVALID_WINDOW
+function windowSeconds(name = 'all') {
+  if (!Object.prototype.hasOwnProperty.call(WINDOWS, name)) {
+    throw new AppError('INVALID_WINDOW', `Unknown time window "${name}"`, {
+      windows: Object.keys(WINDOWS)
+    });
+  }
+  return WINDOWS[name];
+}
+
+// One user's figures; null when the user has never been in the room.
+// wordsContributed is the all-time count, across seasons.
+function userStats(db, userId, { window = 'all' } = {}) {
+  const user = db.getUser(userId);
+  if (!user) return null;
+
+  const [stats] = db.getContributorStats({ userId, windowSeconds: windowSeconds(window) });
+  return {
+    window,
+    userId,
+    nickname: user.nickname || null,
+    color: user.color,
+    wordsContributed: user.words_contributed,
+    words: 0,
+    phrases: 0,
+    longestPhrase: 0,
+    imagesFed: 0,
+    firstActivity: null,
+    lastActivity: null,
+    ...stats
+  };
+}
+
+// Top contributors by words placed, ranked from 1
+function leaderboard(db, { window = 'all', limit } = {}) {
+  const n = parseInt(limit, 10);
+  const count = Number.isNaN(n) ? LEADERBOARD_LIMIT.default : Math.max(1, Math.min(LEADERBOARD_LIMIT.max, n));
+
+  const rows = db.getContributorStats({ windowSeconds: windowSeconds(window), limit: count });
+  return {
+    window,
+    entries: rows.map((row, i) => ({ rank: i + 1, ...row }))
+  };
+}
+
+module.exports = {
+  userStats,
+  leaderboard
+};
@@ -0,0 +1,226 @@
+const fs = require('fs');
+const { resolveImagePath } = require('./images');
+const { decodePng, isPng, compressPixels, encodeApng } = require('./png');
+
+// Stitches completed images in history order into an animated PNG.
+// Options are clamped to keep exports reasonable on a busy server.
+//
+//   TIMELAPSE_MAX_FRAMES   most frames in one export (default 100); longer
+//                          histories are sampled evenly, keeping the
+//                          first and the latest image
+//   TIMELAPSE_CACHE_MB     memory for rendered frames, shared by all rooms
+//                          (default 32)
+
+const LIMITS = {
+  size: { min: 32, max: 1024, default: 512 },
+  frameMs: { min: 50, max: 10000, default: 500 }
+};
+
+const MAX_FRAMES = Math.max(2, parseInt(process.env.TIMELAPSE_MAX_FRAMES, 10) || 100);
+
+// Rendered frames of every room in one cache, keyed by room, history entry,
+// size and captions. A new image or a different frameMs only costs the
+// frames not seen before. The least recently used frames are dropped once
+// the cache holds more than FRAME_CACHE_BYTES.
+const FRAME_CACHE_BYTES = (parseFloat(process.env.TIMELAPSE_CACHE_MB) || 32) * 1024 * 1024;
+const frameCache = new Map();
+let frameCacheBytes = 0;
+
+// Rooms are told apart by their database, without keeping it alive
+const roomKeys = new WeakMap();
+let nextRoomKey = 1;
+
+function clamp(value, { min, max, default: fallback }) {
+  const n = parseInt(value, 10);
+  if (Number.isNaN(n)) return fallback;
+  return Math.max(min, Math.min(max, n));
+}
+
+function normalizeOptions({ size, frameMs, captions } = {}) {
+  return {
+    size: clamp(size, LIMITS.size),
+    frameMs: clamp(frameMs, LIMITS.frameMs),
+    captions: captions === true || captions === '1' || captions === 'true'
+  };
+}
+
+// At most `max` entries, evenly spaced from the first to the last
+function sample(entries, max) {
+  if (entries.length <= max) return entries;
+  return Array.from({ length: max }, (_, i) => entries[Math.round(i * (entries.length - 1) / (max - 1))]);
+}
+
+// Resolves with { buffer, frames, skipped }, or null when there is nothing
+// to show. Frames are rendered one per tick so other requests are served
+// in between.
+async function buildTimelapse(db, options) {
+  const { size, frameMs, captions } = normalizeOptions(options);
+  const entries = sample(db.getCompletedImageHistory(), MAX_FRAMES);
+  if (entries.length === 0) return null;
+
+  const frames = [];
+  let skipped = 0;
+
+  for (const entry of entries) {
+    const frame = await renderFrame(db, entry, size, captions);
+    if (frame) {
+      frames.push(frame);
+    } else {
+      skipped++;
+    }
+  }
+
+  if (frames.length === 0) return null;
+  return { buffer: encodeApng(size, size, frames, frameMs), frames: frames.length, skipped };
+}
+
+// One history entry as a compressed frame, or null when it cannot be shown
+async function renderFrame(db, entry, size, captions) {
+  if (!roomKeys.has(db)) roomKeys.set(db, nextRoomKey++);
+  const key = `${roomKeys.get(db)}:${entry.id}:${size}:${captions}`;
+
+  if (frameCache.has(key)) {
+    const frame = frameCache.get(key);
+    frameCache.delete(key); // most recently used goes last
+    frameCache.set(key, frame);
+    return frame;
+  }
+
+  await new Promise(resolve => setImmediate(resolve));
+
+  const frame = drawFrame(entry, size, captions);
+  frameCache.set(key, frame);
+  frameCacheBytes += frame ? frame.length : 0;
+
+  for (const [oldKey, oldFrame] of frameCache) {
+    if (frameCacheBytes <= FRAME_CACHE_BYTES) break;
+    frameCache.delete(oldKey);
+    frameCacheBytes -= oldFrame ? oldFrame.length : 0;
+  }
+  return frame;
+}
+
+function drawFrame(entry, size, captions) {
+  const fullPath = resolveImagePath(entry.image_path);
+  const file = fs.existsSync(fullPath) ? fs.readFileSync(fullPath) : null;
+
+  // Missing files and non-PNG output (e.g. JPEG) are left out
+  if (!file || !isPng(file)) return null;
+
+  let image;
+  try {
+    image = decodePng(file);
+  } catch (error) {
+    console.warn(`Timelapse: skipping ${entry.image_path}: ${error.message}`);
+    return null;
+  }
+
+  const pixels = resize(image, size);
+  if (captions) {
+    drawCaption(pixels, size, `${entry.word_count.toLocaleString('en-US')} words`);
+  }
+  return compressPixels(size, size, pixels);
+}
+
+// Area-averaging resample onto a size x size square (the image is stretched
+// if it is not square; generated images always are)
+function resize(image, size) {
+  const out = Buffer.alloc(size * size * 4);
+  const scaleX = image.width / size;
+  const scaleY = image.height / size;
+
+  for (let y = 0; y < size; y++) {
+    const y0 = Math.floor(y * scaleY);
+    const y1 = Math.max(y0 + 1, Math.floor((y + 1) * scaleY));
+
+    for (let x = 0; x < size; x++) {
+      const x0 = Math.floor(x * scaleX);
+      const x1 = Math.max(x0 + 1, Math.floor((x + 1) * scaleX));
+      let r = 0, g = 0, b = 0, a = 0;
+
+      for (let sy = y0; sy < y1; sy++) {
+        for (let sx = x0; sx < x1; sx++) {
+          const i = (sy * image.width + sx) * 4;
+          r += image.data[i];
+          g += image.data[i + 1];
+          b += image.data[i + 2];
+          a += image.data[i + 3];
+        }
+      }
+
+      const count = (y1 - y0) * (x1 - x0);
+      const o = (y * size + x) * 4;
+      out[o] = r / count;
+      out[o + 1] = g / count;
+      out[o + 2] = b / count;
+      out[o + 3] = a / count;
+    }
+  }
+
+  return out;
+}
+
+// 5x7 bitmap glyphs, just enough for "1,234 words"
+const GLYPHS = {
+  '0': [' ### ', '#   #', '#  ##', '# # #', '##  #', '#   #', ' ### '],
+  '1': ['  #  ', ' ##  ', '  #  ', '  #  ', '  #  ', '  #  ', ' ### '],
+  '2': [' ### ', '#   #', '    #', '   # ', '  #  ', ' #   ', '#####'],
+  '3': ['#####', '   # ', '  #  ', '   # ', '    #', '#   #', ' ### '],
+  '4': ['   # ', '  ## ', ' # # ', '#  # ', '#####', '   # ', '   # '],
+  '5': ['#####', '#    ', '#### ', '    #', '    #', '#   #', ' ### '],
+  '6': ['  ## ', ' #   ', '#    ', '#### ', '#   #', '#   #', ' ### '],
+  '7': ['#####', '    #', '   # ', '  #  ', ' #   ', ' #   ', ' #   '],
+  '8': [' ### ', '#   #', '#   #', ' ### ', '#   #', '#   #', ' ### '],
+  '9': [' ### ', '#   #', '#   #', ' ####', '    #', '   # ', ' ##  '],
+  ',': ['     ', '     ', '     ', '     ', '  ## ', '   # ', '  #  '],
+  ' ': ['     ', '     ', '     ', '     ', '     ', '     ', '     '],
+  'w': ['     ', '     ', '#   #', '#   #', '# # #', '# # #', ' # # '],
+  'o': ['     ', '     ', ' ### ', '#   #', '#   #', '#   #', ' ### '],
+  'r': ['     ', '     ', '# ## ', '##  #', '#    ', '#    ', '#    '],
+  'd': ['    #', '    #', ' ## #', '#  ##', '#   #', '#   #', ' ####'],
+  's': ['     ', '     ', ' ####', '#    ', ' ### ', '    #', '#### ']
+};
+
+// White text on a translucent dark band along the bottom edge
+function drawCaption(pixels, size, text) {
+  const scale = Math.max(1, Math.floor(size / 160));
+  const margin = 3 * scale;
+  const bandHeight = 7 * scale + margin * 2;
+
+  for (let y = size - bandHeight; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      const i = (y * size + x) * 4;
+      pixels[i] *= 0.45;
+      pixels[i + 1] *= 0.45;
+      pixels[i + 2] *= 0.45;
+    }
+  }
+
+  let penX = margin;
+  const top = size - bandHeight + margin;
+  for (const ch of text) {
+    const glyph = GLYPHS[ch];
+    if (!glyph) continue;
+
+    glyph.forEach((row, gy) => {
+      for (let gx = 0; gx < row.length; gx++) {
+        if (row[gx] !== '#') continue;
+        for (let dy = 0; dy < scale; dy++) {
+          for (let dx = 0; dx < scale; dx++) {
+            const x = penX + gx * scale + dx;
+            const y = top + gy * scale + dy;
+            if (x >= size) continue;
+            const i = (y * size + x) * 4;
+            pixels[i] = pixels[i + 1] = pixels[i + 2] = 255;
+          }
+        }
+      }
+    });
+    penX += 6 * scale;
+  }
+}
+
+module.exports = {
+  normalizeOptions,
+  buildTimelapse
+};
@@ -0,0 +1,138 @@
+const EventEmitter = require('events');
+const { GenerationError } = require('./errors');
+
+// Automatic generation for unattended installs. Each policy is off when its
+// setting is 0; manual requests keep working either way.
+//   AUTO_GENERATE_EVERY_WORDS       generate once N new words have been placed
+//   AUTO_GENERATE_IDLE_SECONDS      generate after X seconds without new words
+//   AUTO_GENERATE_INTERVAL_SECONDS  generate on a fixed schedule
+// Every policy needs at least one word placed since the last image.
+//
+// Emits 'update' with status() whenever the countdowns change.
+
+const EVERY_WORDS = parseInt(process.env.AUTO_GENERATE_EVERY_WORDS, 10) || 0;
+const IDLE_SECONDS = parseInt(process.env.AUTO_GENERATE_IDLE_SECONDS, 10) || 0;
+const INTERVAL_SECONDS = parseInt(process.env.AUTO_GENERATE_INTERVAL_SECONDS, 10) || 0;
+
+class AutoGenerateTrigger extends EventEmitter {
+  constructor(db, generation) {
+    super();
+    this.db = db;
+    this.generation = generation;
+    this.baselineWordCount = db.getLastGeneratedWordCount();
+    this.idleTimer = null;
+    this.idleDeadline = null;
+    this.intervalTimer = null;
+    this.nextScheduledAt = null;
+
+    // Words placed while an image is being made count toward the next one
+    generation.on('started', ({ wordCount }) => {
+      this.baselineWordCount = wordCount;
+      this.clearIdle();
+      this.emitUpdate();
+    });
+
+    // A policy may have come due while the queue was busy; wait a tick so
+    // the finished job has left the queue
+    ['complete', 'failed', 'cancelled'].forEach(event => {
+      generation.on(event, () => setImmediate(() => this.check()));
+    });
+  }
+
+  start() {
+    if (INTERVAL_SECONDS > 0) {
+      this.scheduleInterval();
+    }
+    this.emitUpdate();
+  }
+
+  stop() {
+    this.clearIdle();
+    clearTimeout(this.intervalTimer);
+    this.intervalTimer = null;
+    this.nextScheduledAt = null;
+  }
+
+  // A new season started on an empty grid
+  resetBaseline() {
+    this.baselineWordCount = this.db.getLastGeneratedWordCount();
+    this.clearIdle();
+    this.emitUpdate();
+  }
+
+  wordsSinceLastImage() {
+    return Math.max(0, this.db.getWordCount() - this.baselineWordCount);
+  }
+
+  // Call after every word placement
+  onWordsPlaced() {
+    if (IDLE_SECONDS > 0) {
+      this.clearIdle();
+      this.idleDeadline = Date.now() + IDLE_SECONDS * 1000;
+      this.idleTimer = setTimeout(() => this.check(), IDLE_SECONDS * 1000);
+    }
+    this.check();
+  }
+
+  check() {
+    const pending = this.wordsSinceLastImage();
+
+    if (EVERY_WORDS > 0 && pending >= EVERY_WORDS) {
+      this.fire('word count');
+    } else if (this.idleDeadline && Date.now() >= this.idleDeadline && pending > 0) {
+      this.fire('typing stopped');
+    }
+
+    this.emitUpdate();
+  }
+
+  scheduleInterval() {
+    this.nextScheduledAt = Date.now() + INTERVAL_SECONDS * 1000;
+    this.intervalTimer = setTimeout(() => {
+      if (this.wordsSinceLastImage() > 0) {
+        this.fire('schedule');
+      }
+      this.scheduleInterval();
+      this.emitUpdate();
+    }, INTERVAL_SECONDS * 1000);
+  }
+
+  clearIdle() {
+    clearTimeout(this.idleTimer);
+    this.idleTimer = null;
+    this.idleDeadline = null;
+  }
+
+  // Never stacks jobs: if one is already pending the policy waits for it
+  fire(reason) {
+    if (this.generation.isBusy()) return false;
+
+    try {
+      this.generation.requestGeneration({ requestedBy: null });
+      console.log(`Auto-generating (${reason})`);
+      return true;
+    } catch (error) {
+      if (!(error instanceof GenerationError)) throw error;
+      console.log(`Auto-generate (${reason}) skipped: ${error.message}`);
+      return false;
+    }
+  }
+
+  // wordsUntilNext is null when the word-count policy is off; the two
+  // timestamps are null when their policy is off or not counting down
+  status() {
+    return {
+      wordsUntilNext: EVERY_WORDS > 0 ? Math.max(0, EVERY_WORDS - this.wordsSinceLastImage()) : null,
+      idleDeadline: this.idleDeadline,
+      nextScheduledAt: this.nextScheduledAt
+    };
+  }
+
+  emitUpdate() {
+    this.emit('update', this.status());
+  }
+}
+
+module.exports = {
+  AutoGenerateTrigger
+};
@@ -0,0 +1,160 @@
+const { AppError } = require('./errors');
+
+// Validation of Socket.IO payloads. Each client event has a schema; a
+// payload that does not match it is refused with INVALID_PAYLOAD before any
+// handler runs.
+//
+//   MAX_WORD_LENGTH   longest word accepted, in characters (default 40)
+//   MAX_PASTE_WORDS   most words accepted in one paste (default 50)
+//   WORD_CHARACTERS   character classes a word may use, comma-separated:
+//                     letters, numbers, punctuation, symbols (default all)
+//   CLICK_TO_PLACE    'false' stops words from naming the cell they go in;
+//                     they then always go after the last word
+//
+// Whitespace and control characters are never allowed inside a word. Words
+// that break these rules are reported like moderation rejections, so the
+// rest of a paste still goes in.
+
+const MAX_WORD_LENGTH = parseInt(process.env.MAX_WORD_LENGTH, 10) || 40;
+const MAX_PASTE_WORDS = parseInt(process.env.MAX_PASTE_WORDS, 10) || 50;
+const MAX_NICKNAME_LENGTH = 24;
+const CLICK_TO_PLACE = process.env.CLICK_TO_PLACE !== 'false';
+
+// Largest string accepted for a word before it is even looked at
+const MAX_RAW_LENGTH = 1000;
+
+const CHARACTER_CLASSES = {
+  letters: '\\p{L}\\p{M}',
+  numbers: '\\p{N}',
+  punctuation: '\\p{P}',
+  // Joiners and variation selectors hold multi-part emoji together
+  symbols: '\\p{S}\\u200d\\ufe0f'
+};
+
+const WORD_CHARACTERS = (process.env.WORD_CHARACTERS || Object.keys(CHARACTER_CLASSES).join(','))
+  .split(',')
+  .map(name => name.trim())
+  .filter(name => CHARACTER_CLASSES[name]);
+const WORD_PATTERN = new RegExp(`^[${WORD_CHARACTERS.map(name => CHARACTER_CLASSES[name]).join('')}]+$`, 'u');
+
+// Client-generated group ids
+const ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+function invalid(message) {
+  return new AppError('INVALID_PAYLOAD', message);
+}
+
+// Field checks: return the cleaned value or throw invalid()
+const field = {
+  id: (value) => {
+    if (typeof value !== 'string' || !ID_PATTERN.test(value)) throw invalid('must be an id (up to 64 letters, digits, - or _)');
+    return value;
+  },
+  word: (value) => {
+    if (typeof value !== 'string') throw invalid('must be a string');
+    if (value.length > MAX_RAW_LENGTH) throw invalid('is too long');
+    return value.normalize('NFC').trim();
+  },
+  words: (value) => {
+    if (!Array.isArray(value) || value.length === 0) throw invalid('must be a non-empty array');
+    if (value.length > MAX_PASTE_WORDS) throw invalid(`can hold at most ${MAX_PASTE_WORDS} words`);
+    return value.map((word, i) => {
+      try {
+        return field.word(word);
+      } catch (error) {
+        throw invalid(`[${i}] ${error.message}`);
+      }
+    });
+  },
+  // Words separated by single spaces; empty clears the nickname
+  nickname: (value) => {
+    const name = field.word(value).replace(/\s+/g, ' ');
+    if (Array.from(name).length > MAX_NICKNAME_LENGTH) throw invalid(`can be at most ${MAX_NICKNAME_LENGTH} characters`);
+    if (name && !name.split(' ').every(part => WORD_PATTERN.test(part))) throw invalid('contains characters that are not allowed');
+    return name || null;
+  },
+  integer: (value) => {
+    if (!Number.isSafeInteger(value) || value < 1) throw invalid('must be a positive integer');
+    return value;
+  },
+  // A grid cell; the grid bounds are checked where it is used
+  cell: (value) => {
+    if (!Number.isSafeInteger(value) || value < 0) throw invalid('must be a cell position');
+    return value;
+  },
+  // A cell chosen by clicking
+  position: (value) => {
+    if (!CLICK_TO_PLACE) throw invalid('cannot be chosen: click-to-place is turned off');
+    return field.cell(value);
+  },
+  number: (value) => {
+    if (typeof value !== 'number' || !Number.isFinite(value)) throw invalid('must be a number');
+    return value;
+  }
+};
+
+function optional(check) {
+  return (value) => (value === undefined || value === null ? null : check(value));
+}
+
+const SCHEMAS = {
+  'request-generate': {},
+  'withdraw-generate-vote': {},
+  'submit-word': { word: field.word, groupId: optional(field.id), position: optional(field.position) },
+  'submit-words': { words: field.words, groupId: optional(field.id), position: optional(field.position) },
+  'vote-rewind': { historyId: field.integer },
+  'retry-generation': { historyId: field.integer },
+  'cancel-generation': { jobId: field.integer },
+  'retract-words': { groupId: field.id, count: optional(field.integer) },
+  'cursor-move': { position: field.cell, word: optional(field.word) },
+  'set-nickname': { nickname: optional(field.nickname) }
+};
+
+// Returns the payload with only the schema's fields, cleaned. Events
+// without fields may be sent with no payload at all.
+function validate(event, data = {}) {
+  const schema = SCHEMAS[event];
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new AppError('INVALID_PAYLOAD', `${event}: payload must be an object`, { event, field: null });
+  }
+
+  const payload = {};
+  for (const [name, check] of Object.entries(schema)) {
+    try {
+      payload[name] = check(data[name]);
+    } catch (error) {
+      throw new AppError('INVALID_PAYLOAD', `${event}: ${name} ${error.message}`, { event, field: name });
+    }
+  }
+  return payload;
+}
+
+// -> null, or { reason, message } for a word that may not be placed
+function checkWord(word) {
+  if (!word) {
+    return { reason: 'EMPTY', message: 'The word is empty' };
+  }
+  if (Array.from(word).length > MAX_WORD_LENGTH) {
+    return { reason: 'TOO_LONG', message: `"${word}" is longer than ${MAX_WORD_LENGTH} characters` };
+  }
+  if (!WORD_PATTERN.test(word)) {
+    return { reason: 'INVALID_CHARACTERS', message: `"${word}" contains characters that are not allowed` };
+  }
+  return null;
+}
+
+// Sent to clients so they can enforce the same limits while typing
+function limits() {
+  return {
+    maxWordLength: MAX_WORD_LENGTH,
+    maxPasteWords: MAX_PASTE_WORDS,
+    maxNicknameLength: MAX_NICKNAME_LENGTH,
+    clickToPlace: CLICK_TO_PLACE
+  };
+}
+
+module.exports = {
+  validate,
+  checkWord,
+  limits
+};
@@ -0,0 +1,244 @@
+const EventEmitter = require('events');
+const { GenerationError } = require('./errors');
+
+// Vote-to-generate mode: with GENERATION_VOTE_QUORUM set (a share of online
+// users, e.g. 0.5), `request-generate` casts a vote instead of generating.
+// Generation starts once enough online users have voted, or when
+// GENERATION_VOTE_DEADLINE_SECONDS have passed since the first vote.
+// Votes are cleared when the image they asked for is complete.
+//
+// Emits 'update' with tally() and 'rejected' (GenerationError, voters) when
+// the service refuses a request that a deadline or a departure set off.
+// When a vote sets it off, cast() throws the error to that voter instead.
+
+const VOTE_QUORUM = Math.min(1, parseFloat(process.env.GENERATION_VOTE_QUORUM) || 0);
+const VOTE_DEADLINE_SECONDS = parseInt(process.env.GENERATION_VOTE_DEADLINE_SECONDS, 10) || 60;
+
+// Rewind votes: a share of online users that must be exceeded (off by
+// default, leaving rewinds to admins) and how long a proposal stays open
+const REWIND_QUORUM = Math.min(1, parseFloat(process.env.REWIND_VOTE_QUORUM) || 0);
+const REWIND_VOTE_SECONDS = parseInt(process.env.REWIND_VOTE_SECONDS, 10) || 60;
+
+class GenerateVote extends EventEmitter {
+  // getOnlineUserIds() -> Set of distinct userIds currently connected
+  constructor(generation, getOnlineUserIds) {
+    super();
+    this.generation = generation;
+    this.getOnlineUserIds = getOnlineUserIds;
+    this.voters = new Set();
+    this.deadline = null;
+    this.deadlineTimer = null;
+    this.triggered = false;
+
+    generation.on('complete', () => this.reset());
+
+    // The request did not produce an image; let the next vote try again
+    ['failed', 'cancelled'].forEach(event => {
+      generation.on(event, () => {
+        this.triggered = false;
+        this.emitUpdate();
+      });
+    });
+  }
+
+  get enabled() {
+    return VOTE_QUORUM > 0;
+  }
+
+  cast(userId) {
+    if (!this.voters.has(userId)) {
+      this.voters.add(userId);
+
+      if (!this.deadlineTimer) {
+        this.deadline = Date.now() + VOTE_DEADLINE_SECONDS * 1000;
+        this.deadlineTimer = setTimeout(() => this.reject(this.fire('deadline')), VOTE_DEADLINE_SECONDS * 1000);
+      }
+    }
+
+    const error = this.check();
+    if (error) throw error;
+  }
+
+  withdraw(userId) {
+    if (this.voters.delete(userId)) {
+      this.reject(this.check());
+    }
+  }
+
+  // Someone joined or left, which moves the quorum
+  onUsersChanged() {
+    if (this.voters.size > 0) {
+      this.reject(this.check());
+    }
+  }
+
+  // Returns the GenerationError if the vote passed but was refused
+  check() {
+    const { votes, needed } = this.tally();
+    if (votes > 0 && votes >= needed) {
+      return this.fire('quorum');
+    }
+    this.emitUpdate();
+    return null;
+  }
+
+  fire(reason) {
+    clearTimeout(this.deadlineTimer);
+    this.deadlineTimer = null;
+    this.deadline = null;
+
+    const { votes } = this.tally();
+    if (this.triggered || votes === 0) {
+      this.emitUpdate();
+      return null;
+    }
+
+    let rejection = null;
+    try {
+      this.triggered = true;
+      this.generation.requestGeneration({ requestedBy: null });
+      console.log(`Vote passed (${reason}): ${votes} vote(s)`);
+    } catch (error) {
+      if (!(error instanceof GenerationError)) throw error;
+      this.triggered = false;
+      rejection = error;
+    }
+    this.emitUpdate();
+    return rejection;
+  }
+
+  // Tell the voters still online why their vote did not produce an image
+  reject(error) {
+    if (error) {
+      this.emit('rejected', error, this.tally().voters);
+    }
+  }
+
+  reset() {
+    clearTimeout(this.deadlineTimer);
+    this.deadlineTimer = null;
+    this.deadline = null;
+    this.voters.clear();
+    this.triggered = false;
+    this.emitUpdate();
+  }
+
+  // Only voters who are still online count toward the quorum
+  tally() {
+    const online = this.getOnlineUserIds();
+    const voters = Array.from(this.voters).filter(userId => online.has(userId));
+
+    return {
+      votes: voters.length,
+      online: online.size,
+      needed: Math.max(1, Math.ceil(VOTE_QUORUM * online.size)),
+      deadline: this.deadline,
+      triggered: this.triggered,
+      voters
+    };
+  }
+
+  emitUpdate() {
+    this.emit('update', this.tally());
+  }
+}
+
+// Vote to rewind the current image to a past history entry. One proposal is
+// open at a time; it passes at quorum or expires after REWIND_VOTE_SECONDS.
+//
+// Emits 'update' with tally() (null when no proposal is open) and
+// 'rejected' (GenerationError) when the rewind itself is refused.
+class RewindVote extends EventEmitter {
+  constructor(db, generation, getOnlineUserIds) {
+    super();
+    this.db = db;
+    this.generation = generation;
+    this.getOnlineUserIds = getOnlineUserIds;
+    this.historyId = null;
+    this.voters = new Set();
+    this.deadline = null;
+    this.expireTimer = null;
+  }
+
+  get enabled() {
+    return REWIND_QUORUM > 0;
+  }
+
+  // Opens a proposal for historyId, or joins the one already open for it
+  cast(userId, historyId) {
+    if (!this.enabled) {
+      throw new GenerationError('NOT_ALLOWED', 'Rewind voting is disabled');
+    }
+    if (this.historyId !== null && this.historyId !== historyId) {
+      throw new GenerationError('NOT_ALLOWED', 'Another rewind vote is already open');
+    }
+    if (!this.db.getImageHistoryEntry(historyId)) {
+      throw new GenerationError('HISTORY_NOT_FOUND', 'No image history entry with that id');
+    }
+
+    if (this.historyId === null) {
+      this.historyId = historyId;
+      this.deadline = Date.now() + REWIND_VOTE_SECONDS * 1000;
+      this.expireTimer = setTimeout(() => this.close(), REWIND_VOTE_SECONDS * 1000);
+    }
+    this.voters.add(userId);
+    this.check();
+  }
+
+  onUsersChanged() {
+    if (this.historyId !== null) {
+      this.check();
+    }
+  }
+
+  check() {
+    const { votes, needed } = this.tally();
+    if (votes >= needed) {
+      const historyId = this.historyId;
+      this.close();
+      try {
+        this.generation.rewindTo(historyId);
+      } catch (error) {
+        if (!(error instanceof GenerationError)) throw error;
+        this.emit('rejected', error);
+      }
+      return;
+    }
+    this.emitUpdate();
+  }
+
+  close() {
+    clearTimeout(this.expireTimer);
+    this.expireTimer = null;
+    this.historyId = null;
+    this.deadline = null;
+    this.voters.clear();
+    this.emitUpdate();
+  }
+
+  tally() {
+    if (this.historyId === null) return null;
+
+    const online = this.getOnlineUserIds();
+    const voters = Array.from(this.voters).filter(userId => online.has(userId));
+
+    return {
+      historyId: this.historyId,
+      votes: voters.length,
+      online: online.size,
+      // A strict majority of that share, but never more than everyone
+      needed: Math.max(1, Math.min(online.size, Math.floor(REWIND_QUORUM * online.size) + 1)),
+      deadline: this.deadline,
+      voters
+    };
+  }
+
+  emitUpdate() {
+    this.emit('update', this.tally());
+  }
+}
+
+module.exports = {
+  GenerateVote,
+  RewindVote
+};